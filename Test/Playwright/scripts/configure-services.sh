@@ -139,13 +139,46 @@ save_backup() {
         "hyva_cookie_consent/services/google_analytics_4/measurement_id"
         "hyva_cookie_consent/services/facebook_pixel/enabled"
         "hyva_cookie_consent/services/facebook_pixel/pixel_id"
+        "hyva_cookie_consent/services/facebook_pixel/consent_mode"
         "hyva_cookie_consent/services/hotjar/enabled"
         "hyva_cookie_consent/services/hotjar/site_id"
         "hyva_cookie_consent/services/microsoft_clarity/enabled"
         "hyva_cookie_consent/services/microsoft_clarity/project_id"
+        "hyva_cookie_consent/services/microsoft_clarity/consent_mode"
         "hyva_cookie_consent/services/matomo/enabled"
         "hyva_cookie_consent/services/matomo/tracker_url"
         "hyva_cookie_consent/services/matomo/site_id"
+        "hyva_cookie_consent/services/matomo/consent_mode"
+        "hyva_cookie_consent/services/tiktok_pixel/enabled"
+        "hyva_cookie_consent/services/tiktok_pixel/pixel_id"
+        "hyva_cookie_consent/services/linkedin_insight/enabled"
+        "hyva_cookie_consent/services/linkedin_insight/partner_id"
+        "hyva_cookie_consent/services/pinterest_tag/enabled"
+        "hyva_cookie_consent/services/pinterest_tag/tag_id"
+        "hyva_cookie_consent/services/microsoft_uet/enabled"
+        "hyva_cookie_consent/services/microsoft_uet/tag_id"
+        "hyva_cookie_consent/services/microsoft_uet/consent_mode"
+        "hyva_cookie_consent/services/google_recaptcha/enabled"
+        "hyva_cookie_consent/services/google_recaptcha/category"
+        "hyva_cookie_consent/services/zendesk_chat/enabled"
+        "hyva_cookie_consent/services/zendesk_chat/widget_key"
+        "hyva_cookie_consent/services/intercom/enabled"
+        "hyva_cookie_consent/services/intercom/app_id"
+        "hyva_cookie_consent/services/tawk_to/enabled"
+        "hyva_cookie_consent/services/tawk_to/property_id"
+        "hyva_cookie_consent/services/tawk_to/widget_id"
+        "hyva_cookie_consent/services/tidio/enabled"
+        "hyva_cookie_consent/services/tidio/public_key"
+        "web/hyva_cookie_consent/tcf/enabled"
+        "web/hyva_cookie_consent/tcf/cmp_id"
+        "web/hyva_cookie_consent/ui/service_toggles"
+        "web/hyva_cookie_consent/consent_log/enabled"
+        "web/hyva_cookie_consent/regions/enabled"
+        "web/hyva_cookie_consent/general/consent_max_age"
+        "web/hyva_cookie_consent/general/cookie_domain"
+        "web/hyva_cookie_consent/general/auto_block"
+        "web/hyva_cookie_consent/general/storage_guard"
+        "web/hyva_cookie_consent/html_rewrite/enabled"
     )
 
     # Create backup file
@@ -219,6 +252,7 @@ if [ -n "$TEST_FB_PIXEL_ID" ]; then
     echo "Configuring Facebook Pixel..."
     set_config "hyva_cookie_consent/services/facebook_pixel/enabled" "1"
     set_config "hyva_cookie_consent/services/facebook_pixel/pixel_id" "$TEST_FB_PIXEL_ID"
+    set_config "hyva_cookie_consent/services/facebook_pixel/consent_mode" "${TEST_FB_CONSENT_MODE:-block}"
     SERVICES_CONFIGURED=1
 fi
 
@@ -235,6 +269,7 @@ if [ -n "$TEST_CLARITY_PROJECT_ID" ]; then
     echo "Configuring Microsoft Clarity..."
     set_config "hyva_cookie_consent/services/microsoft_clarity/enabled" "1"
     set_config "hyva_cookie_consent/services/microsoft_clarity/project_id" "$TEST_CLARITY_PROJECT_ID"
+    set_config "hyva_cookie_consent/services/microsoft_clarity/consent_mode" "${TEST_CLARITY_CONSENT_MODE:-block}"
     SERVICES_CONFIGURED=1
 fi
 
@@ -244,9 +279,135 @@ if [ -n "$TEST_MATOMO_URL" ] && [ -n "$TEST_MATOMO_SITE_ID" ]; then
     set_config "hyva_cookie_consent/services/matomo/enabled" "1"
     set_config "hyva_cookie_consent/services/matomo/tracker_url" "$TEST_MATOMO_URL"
     set_config "hyva_cookie_consent/services/matomo/site_id" "$TEST_MATOMO_SITE_ID"
+    set_config "hyva_cookie_consent/services/matomo/consent_mode" "${TEST_MATOMO_CONSENT_MODE:-block}"
     SERVICES_CONFIGURED=1
 fi
 
+# Configure TikTok Pixel if ID provided
+if [ -n "$TEST_TIKTOK_PIXEL_ID" ]; then
+    echo "Configuring TikTok Pixel..."
+    set_config "hyva_cookie_consent/services/tiktok_pixel/enabled" "1"
+    set_config "hyva_cookie_consent/services/tiktok_pixel/pixel_id" "$TEST_TIKTOK_PIXEL_ID"
+    SERVICES_CONFIGURED=1
+fi
+
+# Configure LinkedIn Insight Tag if partner ID provided
+if [ -n "$TEST_LINKEDIN_PARTNER_ID" ]; then
+    echo "Configuring LinkedIn Insight Tag..."
+    set_config "hyva_cookie_consent/services/linkedin_insight/enabled" "1"
+    set_config "hyva_cookie_consent/services/linkedin_insight/partner_id" "$TEST_LINKEDIN_PARTNER_ID"
+    SERVICES_CONFIGURED=1
+fi
+
+# Configure Pinterest Tag if ID provided
+if [ -n "$TEST_PINTEREST_TAG_ID" ]; then
+    echo "Configuring Pinterest Tag..."
+    set_config "hyva_cookie_consent/services/pinterest_tag/enabled" "1"
+    set_config "hyva_cookie_consent/services/pinterest_tag/tag_id" "$TEST_PINTEREST_TAG_ID"
+    SERVICES_CONFIGURED=1
+fi
+
+# Configure Microsoft Advertising UET if tag ID provided
+if [ -n "$TEST_UET_TAG_ID" ]; then
+    echo "Configuring Microsoft Advertising UET..."
+    set_config "hyva_cookie_consent/services/microsoft_uet/enabled" "1"
+    set_config "hyva_cookie_consent/services/microsoft_uet/tag_id" "$TEST_UET_TAG_ID"
+    set_config "hyva_cookie_consent/services/microsoft_uet/consent_mode" "${TEST_UET_CONSENT_MODE:-block}"
+    SERVICES_CONFIGURED=1
+fi
+
+# Configure the Google reCAPTCHA consent interstitial
+if [ -n "$TEST_RECAPTCHA" ]; then
+    echo "Configuring Google reCAPTCHA consent..."
+    set_config "hyva_cookie_consent/services/google_recaptcha/enabled" "1"
+    set_config "hyva_cookie_consent/services/google_recaptcha/category" "marketing"
+    SERVICES_CONFIGURED=1
+fi
+
+# Configure Zendesk Messaging if widget key provided
+if [ -n "$TEST_ZENDESK_WIDGET_KEY" ]; then
+    echo "Configuring Zendesk Messaging..."
+    set_config "hyva_cookie_consent/services/zendesk_chat/enabled" "1"
+    set_config "hyva_cookie_consent/services/zendesk_chat/widget_key" "$TEST_ZENDESK_WIDGET_KEY"
+    SERVICES_CONFIGURED=1
+fi
+
+# Configure Intercom if app ID provided
+if [ -n "$TEST_INTERCOM_APP_ID" ]; then
+    echo "Configuring Intercom..."
+    set_config "hyva_cookie_consent/services/intercom/enabled" "1"
+    set_config "hyva_cookie_consent/services/intercom/app_id" "$TEST_INTERCOM_APP_ID"
+    SERVICES_CONFIGURED=1
+fi
+
+# Configure Tawk.to if property ID provided
+if [ -n "$TEST_TAWK_PROPERTY_ID" ]; then
+    echo "Configuring Tawk.to..."
+    set_config "hyva_cookie_consent/services/tawk_to/enabled" "1"
+    set_config "hyva_cookie_consent/services/tawk_to/property_id" "$TEST_TAWK_PROPERTY_ID"
+    set_config "hyva_cookie_consent/services/tawk_to/widget_id" "${TEST_TAWK_WIDGET_ID:-default}"
+    SERVICES_CONFIGURED=1
+fi
+
+# Configure Tidio if public key provided
+if [ -n "$TEST_TIDIO_PUBLIC_KEY" ]; then
+    echo "Configuring Tidio..."
+    set_config "hyva_cookie_consent/services/tidio/enabled" "1"
+    set_config "hyva_cookie_consent/services/tidio/public_key" "$TEST_TIDIO_PUBLIC_KEY"
+    SERVICES_CONFIGURED=1
+fi
+
+# Configure IAB TCF mode if CMP ID provided
+if [ -n "$TEST_TCF_CMP_ID" ]; then
+    echo "Configuring IAB TCF mode..."
+    set_config "web/hyva_cookie_consent/tcf/enabled" "1"
+    set_config "web/hyva_cookie_consent/tcf/cmp_id" "$TEST_TCF_CMP_ID"
+fi
+
+# Enable per-service consent toggles if requested
+if [ -n "$TEST_SERVICE_TOGGLES" ]; then
+    echo "Enabling per-service consent toggles..."
+    set_config "web/hyva_cookie_consent/ui/service_toggles" "1"
+fi
+
+# Enable the consent receipt log if requested
+if [ -n "$TEST_CONSENT_LOG" ]; then
+    echo "Enabling consent receipt log..."
+    set_config "web/hyva_cookie_consent/consent_log/enabled" "1"
+fi
+
+# Enable regional consent regimes if requested
+if [ -n "$TEST_REGIONS" ]; then
+    echo "Enabling regional consent regimes..."
+    set_config "web/hyva_cookie_consent/regions/enabled" "1"
+fi
+
+# Set maximum consent age if provided
+if [ -n "$TEST_CONSENT_MAX_AGE" ]; then
+    echo "Setting maximum consent age..."
+    set_config "web/hyva_cookie_consent/general/consent_max_age" "$TEST_CONSENT_MAX_AGE"
+fi
+
+if [ -n "$TEST_COOKIE_DOMAIN" ]; then
+    echo "Setting consent cookie domain..."
+    set_config "web/hyva_cookie_consent/general/cookie_domain" "$TEST_COOKIE_DOMAIN"
+fi
+
+if [ -n "$TEST_AUTO_BLOCK" ]; then
+    echo "Enabling runtime auto-blocker..."
+    set_config "web/hyva_cookie_consent/general/auto_block" "1"
+fi
+
+if [ -n "$TEST_STORAGE_GUARD" ]; then
+    echo "Enabling storage guard..."
+    set_config "web/hyva_cookie_consent/general/storage_guard" "1"
+fi
+
+if [ -n "$TEST_HTML_REWRITE" ]; then
+    echo "Enabling server-side tag blocking..."
+    set_config "web/hyva_cookie_consent/html_rewrite/enabled" "1"
+fi
+
 echo ""
 
 if [ $SERVICES_CONFIGURED -eq 0 ]; then
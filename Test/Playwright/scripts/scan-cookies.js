@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+/**
+ * Offline Cookie Scanner
+ *
+ * Crawls a list of store URLs against a local instance in three states:
+ * - before consent (banner open, no decision)
+ * - after "Reject All"
+ * - after "Accept All"
+ *
+ * Every cookie (with domain and expiry) and Web Storage key is recorded and compared
+ * against the cookies declared in cookie_consent.xml. Writes to the output directory:
+ * - cookie-scan-report.md       Findings, including cookies set before consent
+ * - cookie-scan.json            Raw scan data
+ * - cookie_consent.draft.xml    Draft <service> entries for undeclared cookies and storage keys
+ *
+ * Usage:
+ *   bin/magento hyva-cookie-consent:cookies:list --format=json > declared-cookies.json
+ *   npm run scan -- --declared=declared-cookies.json --urls=/,/women.html,/checkout/cart
+ *
+ * Options (or the matching SCAN_* variables in .env):
+ *   --urls       Comma-separated paths or URLs (SCAN_URLS, default: /)
+ *   --declared   JSON output of hyva-cookie-consent:cookies:list (SCAN_DECLARED);
+ *                without it, the cookie names exposed on the storefront are used
+ *   --out        Output directory (SCAN_OUTPUT_DIR, default: scan-results)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('@playwright/test');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const CONSENT_COOKIE = 'hyva_cookie_consent';
+const STATES = ['before-consent', 'reject-all', 'accept-all'];
+
+/**
+ * Parse --key=value arguments, falling back to SCAN_* environment variables
+ * @returns {{ baseUrl: string, urls: string[], declared: string, out: string }}
+ */
+function parseOptions() {
+    const args = {};
+    process.argv.slice(2).forEach(arg => {
+        const match = arg.match(/^--([a-z]+)=(.*)$/);
+        if (match) {
+            args[match[1]] = match[2];
+        }
+    });
+
+    return {
+        baseUrl: process.env.PLAYWRIGHT_BASE_URL || 'https://example.com',
+        urls: (args.urls || process.env.SCAN_URLS || '/').split(',').map(url => url.trim()).filter(Boolean),
+        declared: args.declared || process.env.SCAN_DECLARED || '',
+        out: args.out || process.env.SCAN_OUTPUT_DIR || 'scan-results',
+    };
+}
+
+/**
+ * Convert a declared wildcard pattern (e.g. _ga_*) to a regex
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function patternToRegex(pattern) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp('^' + escaped.replace(/\*/g, '.*') + '$');
+}
+
+/**
+ * Load declared cookie names by category from the CLI JSON output
+ * @param {string} file
+ * @returns {Object<string, string[]>|null}
+ */
+function loadDeclaredCookies(file) {
+    if (!file) {
+        return null;
+    }
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const declared = {};
+    Object.keys(data).forEach(category => {
+        declared[category] = data[category].map(cookie => cookie.name).filter(Boolean);
+    });
+    return declared;
+}
+
+/**
+ * Human readable cookie duration as used in cookie_consent.xml
+ * @param {number} expires Unix timestamp in seconds, -1 for session cookies
+ * @returns {string}
+ */
+function formatDuration(expires) {
+    if (expires === -1) {
+        return 'Session';
+    }
+    const days = Math.max(0, Math.round((expires * 1000 - Date.now()) / 86400000));
+    if (days === 0) {
+        const minutes = Math.max(1, Math.round((expires * 1000 - Date.now()) / 60000));
+        return minutes >= 60 ? `${Math.round(minutes / 60)} hours` : `${minutes} minutes`;
+    }
+    if (days >= 365) {
+        return `${Math.round(days / 365)} year${days >= 547 ? 's' : ''}`;
+    }
+    if (days >= 30) {
+        return `${Math.round(days / 30)} months`;
+    }
+    return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Record cookies and Web Storage keys of the current page
+ * @param {import('@playwright/test').Page} page
+ * @param {import('@playwright/test').BrowserContext} context
+ * @param {string} state
+ * @param {string} url
+ * @param {Map<string, object>} findings
+ */
+async function record(page, context, state, url, findings) {
+    const cookies = await context.cookies();
+    cookies.forEach(cookie => {
+        const key = `cookie:${cookie.name}:${cookie.domain}`;
+        const finding = findings.get(key) || {
+            type: 'cookie',
+            name: cookie.name,
+            domain: cookie.domain,
+            duration: formatDuration(cookie.expires),
+            httpOnly: cookie.httpOnly,
+            states: {},
+        };
+        finding.states[state] = finding.states[state] || url;
+        findings.set(key, finding);
+    });
+
+    const storage = await page.evaluate(() => {
+        const keys = (area) => {
+            try {
+                return Object.keys(window[area]);
+            } catch (e) {
+                return [];
+            }
+        };
+        return { localStorage: keys('localStorage'), sessionStorage: keys('sessionStorage') };
+    });
+    Object.keys(storage).forEach(type => {
+        storage[type].forEach(name => {
+            const key = `${type}:${name}`;
+            const finding = findings.get(key) || { type, name, domain: new URL(url).hostname, states: {} };
+            finding.states[state] = finding.states[state] || url;
+            findings.set(key, finding);
+        });
+    });
+}
+
+/**
+ * Crawl all URLs in one consent state
+ * @param {import('@playwright/test').Browser} browser
+ * @param {object} options
+ * @param {string} state
+ * @param {Map<string, object>} findings
+ * @returns {Promise<Object<string, string[]>>} Cookie names exposed on the storefront by category
+ */
+async function crawl(browser, options, state, findings) {
+    const context = await browser.newContext({ baseURL: options.baseUrl, ignoreHTTPSErrors: true });
+    const page = await context.newPage();
+    let exposedPatterns = {};
+
+    for (const [index, url] of options.urls.entries()) {
+        await page.goto(url, { waitUntil: 'networkidle' });
+        await page.waitForFunction(() => window.HyvaCookieConsent !== undefined, null, { timeout: 10000 });
+
+        if (index === 0) {
+            exposedPatterns = await page.evaluate(() => {
+                const patterns = { ...(window.cookie_consent_deletion_patterns || {}) };
+                const storage = window.cookie_consent_storage_patterns || {};
+                Object.keys(storage).forEach(category => {
+                    patterns[category] = [...(patterns[category] || []), ...Object.values(storage[category]).flat()];
+                });
+                return patterns;
+            });
+            if (state !== 'before-consent') {
+                await page.evaluate((action) => window.HyvaCookieConsent[action](),
+                    state === 'accept-all' ? 'acceptAll' : 'rejectAll');
+                await page.waitForTimeout(1000);
+                await page.reload({ waitUntil: 'networkidle' });
+            }
+        }
+
+        // Give deferred trackers time to set their cookies
+        await page.waitForTimeout(2000);
+        await record(page, context, state, page.url(), findings);
+    }
+
+    await context.close();
+    return exposedPatterns;
+}
+
+/**
+ * Category of a declared name, or null if undeclared
+ * @param {string} name
+ * @param {Object<string, RegExp[]>} declaredRegexes
+ * @returns {string|null}
+ */
+function findDeclaredCategory(name, declaredRegexes) {
+    return Object.keys(declaredRegexes).find(category => declaredRegexes[category].some(regex => regex.test(name))) || null;
+}
+
+/**
+ * Escape XML text and attribute values
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value).replace(/[<>&"']/g, char => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;',
+    })[char]);
+}
+
+/**
+ * Build draft <service> entries for undeclared cookies and storage keys, one per domain
+ * @param {object[]} undeclared
+ * @returns {string}
+ */
+function buildDraftXml(undeclared) {
+    const byDomain = new Map();
+    undeclared.forEach(finding => {
+        const domain = finding.domain.replace(/^\./, '');
+        byDomain.set(domain, [...(byDomain.get(domain) || []), finding]);
+    });
+
+    const services = Array.from(byDomain.entries()).map(([domain, findings]) => {
+        // Entries that survive "Reject All" may as well be trackers set before consent: never draft them
+        // as necessary, only point them out
+        const afterRejectAll = findings.filter(finding => finding.states['reject-all']).map(finding => finding.name);
+        const code = 'scanned_' + domain.replace(/[^a-z0-9]+/gi, '_').toLowerCase();
+        const cookies = findings.filter(finding => finding.type === 'cookie').map(finding => [
+            `                <cookie name="${escapeXml(finding.name)}" duration="${escapeXml(finding.duration)}">`,
+            '                    <description>TODO: describe the purpose of this cookie</description>',
+            '                </cookie>',
+        ].join('\n'));
+        const storage = findings.filter(finding => finding.type !== 'cookie').map(finding => [
+            `                <item name="${escapeXml(finding.name)}" type="${finding.type}">`,
+            '                    <description>TODO: describe the purpose of this entry</description>',
+            '                </item>',
+        ].join('\n'));
+
+        return [
+            `        <!-- TODO: verify category; seen in: ${Object.keys(findings[0].states).join(', ')} -->`,
+            ...(afterRejectAll.length ? [
+                `        <!-- Still present after Reject All: ${escapeXml(afterRejectAll.join(', '))} -->`,
+            ] : []),
+            `        <service code="${escapeXml(code)}" category="marketing">`,
+            `            <title>${escapeXml(domain)}</title>`,
+            '            <description>TODO: describe this service</description>',
+            ...(cookies.length ? ['            <cookies>', ...cookies, '            </cookies>'] : []),
+            ...(storage.length ? ['            <storage>', ...storage, '            </storage>'] : []),
+            '        </service>',
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0"?>',
+        '<!-- Draft generated by Test/Playwright/scripts/scan-cookies.js - review before use -->',
+        '<cookie_consent xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+        '                xsi:noNamespaceSchemaLocation="urn:magento:module:Pixelperfect_HyvaCookieConsent:etc/cookie_consent.xsd">',
+        '    <services>',
+        services.join('\n\n'),
+        '    </services>',
+        '</cookie_consent>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Build the Markdown report
+ * @param {object} options
+ * @param {object[]} results
+ * @returns {string}
+ */
+function buildReport(options, results) {
+    const row = (finding) => `| ${finding.name} | ${finding.type} | ${finding.domain} | ${finding.duration || '-'} `
+        + `| ${finding.category || '**undeclared**'} | ${STATES.filter(state => finding.states[state]).join(', ')} |`;
+    const header = '| Name | Type | Domain | Duration | Declared Category | Seen In |\n|---|---|---|---|---|---|';
+    const beforeConsent = results.filter(finding => finding.states['before-consent']
+        && finding.category !== 'necessary' && finding.name !== CONSENT_COOKIE);
+    const undeclared = results.filter(finding => !finding.category);
+
+    return [
+        '# Cookie Scan Report',
+        '',
+        `- Base URL: ${options.baseUrl}`,
+        `- URLs: ${options.urls.join(', ')}`,
+        `- Declared cookies: ${options.declared || 'cookie names exposed on the storefront (all services)'}`,
+        `- Scanned: ${new Date().toISOString()}`,
+        '',
+        '## Set Before Consent',
+        '',
+        'Cookies and storage keys present before any decision that are not declared as necessary.',
+        '',
+        beforeConsent.length ? header + '\n' + beforeConsent.map(row).join('\n') : 'None.',
+        '',
+        '## Undeclared',
+        '',
+        'See cookie_consent.draft.xml for draft service entries.',
+        '',
+        undeclared.length ? header + '\n' + undeclared.map(row).join('\n') : 'None.',
+        '',
+        '## All Findings',
+        '',
+        header,
+        results.map(row).join('\n'),
+        '',
+    ].join('\n');
+}
+
+async function main() {
+    const options = parseOptions();
+    let declared = loadDeclaredCookies(options.declared);
+
+    const browser = await chromium.launch();
+    const findings = new Map();
+    try {
+        for (const state of STATES) {
+            console.log(`Scanning ${options.urls.length} URL(s) in state "${state}"...`);
+            const exposed = await crawl(browser, options, state, findings);
+            declared = declared || exposed;
+        }
+    } finally {
+        await browser.close();
+    }
+
+    if (!options.declared) {
+        console.warn('No --declared file given: comparing against cookie names exposed on the storefront.');
+    }
+
+    const declaredRegexes = {};
+    Object.keys(declared).forEach(category => {
+        declaredRegexes[category] = declared[category].map(patternToRegex);
+    });
+
+    const results = Array.from(findings.values())
+        .map(finding => ({ ...finding, category: findDeclaredCategory(finding.name, declaredRegexes) }))
+        .sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+
+    fs.mkdirSync(options.out, { recursive: true });
+    fs.writeFileSync(path.join(options.out, 'cookie-scan.json'), JSON.stringify(results, null, 2));
+    fs.writeFileSync(path.join(options.out, 'cookie-scan-report.md'), buildReport(options, results));
+    fs.writeFileSync(path.join(options.out, 'cookie_consent.draft.xml'),
+        buildDraftXml(results.filter(finding => !finding.category)));
+
+    const undeclaredCount = results.filter(finding => !finding.category).length;
+    console.log(`${results.length} cookies/storage keys found, ${undeclaredCount} undeclared. Results in ${options.out}/`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,135 @@
+/**
+ * Runtime Auto-Blocker Tests
+ *
+ * Tests holding of trackers injected at runtime:
+ * - Scripts created with createElement are held until consent
+ * - Held scripts and images are released once the category is granted
+ * - Hosts of consented categories load directly
+ * - Path-specific domains and the element's own service win over the host's service
+ *
+ * SKIP if TEST_AUTO_BLOCK is not configured
+ *
+ * Run with: npm test -- auto-block.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    setCategoryAndSave,
+} = require('./helpers/cookie-consent.helpers');
+
+const SCRIPT_URL = 'https://connect.facebook.net/en_US/fbevents.js';
+const PIXEL_URL = 'https://www.facebook.com/tr?id=1&ev=PageView&noscript=1';
+const GTAG_URL = 'https://www.googletagmanager.com/gtag/js?id=G-TEST';
+
+/**
+ * Inject a Facebook script and pixel the way third-party modules do
+ * @param {import('@playwright/test').Page} page
+ */
+async function injectTrackers(page) {
+    await page.evaluate(({ scriptUrl, pixelUrl }) => {
+        const script = document.createElement('script');
+        script.src = scriptUrl;
+        script.dataset.testid = 'injected-script';
+        document.head.appendChild(script);
+
+        const pixel = document.createElement('img');
+        pixel.setAttribute('src', pixelUrl);
+        pixel.dataset.testid = 'injected-pixel';
+        document.body.appendChild(pixel);
+    }, { scriptUrl: SCRIPT_URL, pixelUrl: PIXEL_URL });
+}
+
+test.describe('Runtime Auto-Blocker', () => {
+    test.skip(!process.env.TEST_AUTO_BLOCK, 'Auto-blocker not configured - skipping');
+
+    test.beforeEach(async ({ context, page }) => {
+        await context.clearCookies();
+        // Never reach the real tracker hosts
+        await page.route(/facebook\.(net|com)/, route => route.fulfill({ status: 204, body: '' }));
+    });
+
+    test('injected trackers are held until consent', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await injectTrackers(page);
+
+        const script = page.locator('[data-testid="injected-script"]');
+        await expect(script).toHaveAttribute('type', 'text/plain');
+        await expect(script).toHaveAttribute('data-consent-src', SCRIPT_URL);
+        await expect(script).toHaveAttribute('data-consent-category', 'marketing');
+        await expect(script).not.toHaveAttribute('src', /.+/);
+
+        const pixel = page.locator('[data-testid="injected-pixel"]');
+        await expect(pixel).toHaveAttribute('data-consent-src', PIXEL_URL);
+        await expect(pixel).not.toHaveAttribute('src', /.+/);
+    });
+
+    test('held trackers are released when the category is granted', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await injectTrackers(page);
+        await setCategoryAndSave(page, 'marketing', true);
+
+        await expect(page.locator('[data-testid="injected-script"]')).toHaveAttribute('src', SCRIPT_URL);
+        await expect(page.locator('[data-testid="injected-pixel"]')).toHaveAttribute('src', PIXEL_URL);
+    });
+
+    test('trackers of other categories stay held', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await setCategoryAndSave(page, 'analytics', true);
+        await injectTrackers(page);
+
+        await expect(page.locator('[data-testid="injected-script"]')).toHaveAttribute('type', 'text/plain');
+    });
+
+    test('trackers load directly after consent', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickAcceptAll(page);
+        await injectTrackers(page);
+
+        const script = page.locator('[data-testid="injected-script"]');
+        await expect(script).toHaveAttribute('src', SCRIPT_URL);
+        await expect(script).not.toHaveAttribute('data-consent-src', /.+/);
+    });
+
+    test('gtag.js on the tag manager host is held as GA4', async ({ page }) => {
+        await page.route(/googletagmanager\.com/, route => route.fulfill({ status: 204, body: '' }));
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await page.evaluate((url) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.dataset.testid = 'injected-gtag';
+            document.head.appendChild(script);
+        }, GTAG_URL);
+
+        await expect(page.locator('[data-testid="injected-gtag"]'))
+            .toHaveAttribute('data-consent-auto-blocked', 'google_analytics_4');
+    });
+
+    test('own data-consent-service of an element wins over its host', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await page.evaluate((url) => {
+            const script = document.createElement('script');
+            script.dataset.consentService = 'google_analytics_4';
+            script.dataset.testid = 'injected-own-service';
+            script.src = url;
+            document.head.appendChild(script);
+        }, SCRIPT_URL);
+
+        const script = page.locator('[data-testid="injected-own-service"]');
+        await expect(script).toHaveAttribute('data-consent-auto-blocked', 'google_analytics_4');
+        await expect(script).toHaveAttribute('data-consent-category', 'analytics');
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Live Chat Facade Tests
+ *
+ * Tests the chat button facades of Zendesk Messaging, Intercom, Tawk.to and Tidio:
+ * - A local chat button is shown and no chat widget is loaded on page load
+ * - Clicking it without consent asks for consent instead of loading the widget
+ * - Allowing in the prompt loads the widget and opens the chat
+ * - With consent, a click loads the widget and opens the chat right away
+ * - Consent alone does not load the widget before the button is clicked
+ *
+ * SKIP if no chat service ID is configured (TEST_ZENDESK_WIDGET_KEY, TEST_INTERCOM_APP_ID,
+ * TEST_TAWK_PROPERTY_ID, TEST_TIDIO_PUBLIC_KEY)
+ *
+ * Run with: npm test -- chat-facades.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    getConsentData,
+} = require('./helpers/cookie-consent.helpers');
+
+// Vendor scripts are replaced by stubs that record whether the chat was opened
+const CHAT_SERVICES = [
+    {
+        title: 'Zendesk Messaging',
+        code: 'zendesk_chat',
+        id: process.env.TEST_ZENDESK_WIDGET_KEY,
+        url: '**/static.zdassets.com/**',
+        stub: 'window.zE = function () { if (arguments[1] === "open") { window.chatOpened = true; } };',
+    },
+    {
+        title: 'Intercom',
+        code: 'intercom',
+        id: process.env.TEST_INTERCOM_APP_ID,
+        url: '**/widget.intercom.io/**',
+        stub: 'window.Intercom.q.forEach(function (args) { if (args[0] === "show") { window.chatOpened = true; } });',
+    },
+    {
+        title: 'Tawk.to',
+        code: 'tawk_to',
+        id: process.env.TEST_TAWK_PROPERTY_ID,
+        url: '**/embed.tawk.to/**',
+        stub: 'window.Tawk_API.maximize = function () { window.chatOpened = true; }; window.Tawk_API.onLoad();',
+    },
+    {
+        title: 'Tidio',
+        code: 'tidio',
+        id: process.env.TEST_TIDIO_PUBLIC_KEY,
+        url: '**/code.tidio.co/**',
+        stub: 'window.tidioChatApi = { open: function () { window.chatOpened = true; } };'
+            + ' document.dispatchEvent(new Event("tidioChat-ready"));',
+    },
+];
+
+CHAT_SERVICES.forEach(({ title, code, id, url, stub }) => {
+    test.describe(`${title} Facade`, () => {
+        test.skip(!id, `${title} ID not configured - skipping`);
+
+        let widgetRequests;
+
+        test.beforeEach(async ({ context, page }) => {
+            await context.clearCookies();
+            widgetRequests = 0;
+            await page.route(url, route => {
+                widgetRequests++;
+                return route.fulfill({ contentType: 'application/javascript', body: stub });
+            });
+            await page.goto('/', { waitUntil: 'networkidle' });
+            await waitForPageReady(page);
+        });
+
+        test('a local chat button is shown without loading the widget', async ({ page }) => {
+            const button = page.locator(`[data-consent-facade="${code}"] button`);
+            await expect(button).toBeVisible();
+            await expect(button).toHaveAttribute('aria-label', new RegExp(title.split(' ')[0]));
+            expect(widgetRequests).toBe(0);
+        });
+
+        test('clicking without consent asks for consent', async ({ page }) => {
+            await page.locator(`[data-consent-facade="${code}"] button`).dispatchEvent('click');
+
+            const prompt = page.locator(`[data-consent-facade="${code}"] [role="dialog"]`);
+            await expect(prompt).toBeVisible();
+            await expect(prompt.locator('button').first()).toBeFocused();
+            expect(widgetRequests).toBe(0);
+        });
+
+        test('allowing in the prompt loads and opens the chat', async ({ page, context }) => {
+            await page.locator(`[data-consent-facade="${code}"] button`).dispatchEvent('click');
+            await page.locator(`[data-consent-facade="${code}"] [role="dialog"] button`).first().click();
+            await page.waitForTimeout(1000);
+
+            expect(widgetRequests).toBe(1);
+            expect(await page.evaluate(() => window.chatOpened)).toBe(true);
+            await expect(page.locator(`[data-consent-facade="${code}"]`)).toHaveCount(0);
+
+            const consentData = await getConsentData(context);
+            expect(consentData.categories.preferences).toBe(true);
+            expect(consentData.categories.marketing).toBe(false);
+        });
+
+        test('consent alone does not load the widget', async ({ page }) => {
+            await clickAcceptAll(page);
+
+            expect(widgetRequests).toBe(0);
+            await expect(page.locator(`[data-consent-facade="${code}"] button`)).toBeVisible();
+        });
+
+        test('with consent a click loads and opens the chat right away', async ({ page }) => {
+            await clickAcceptAll(page);
+
+            await page.locator(`[data-consent-facade="${code}"] button`).dispatchEvent('click');
+            await page.waitForTimeout(1000);
+
+            expect(widgetRequests).toBe(1);
+            expect(await page.evaluate(() => window.chatOpened)).toBe(true);
+            await expect(page.locator(`[data-consent-facade="${code}"] [role="dialog"]`)).toHaveCount(0);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Microsoft Clarity Cookieless Mode Tests
+ *
+ * Tests the Clarity consent API integration (Consent Mode: Cookieless until consent):
+ * - Clarity loads before consent without being granted cookies
+ * - clarity('consent') is called once analytics is granted
+ * - clarity('consent', false) is called when analytics is revoked
+ * - The runtime auto-blocker lets the module's own Clarity tag and clarity.js through,
+ *   but still holds Clarity tags of other modules (TEST_AUTO_BLOCK)
+ *
+ * SKIP if TEST_CLARITY_PROJECT_ID is not configured or TEST_CLARITY_CONSENT_MODE is not "cookieless"
+ *
+ * Run with: npm test -- clarity-consent.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    setCategoryAndSave,
+} = require('./helpers/cookie-consent.helpers');
+
+/**
+ * Get the consent calls queued for Clarity
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<Array<Array<*>>>}
+ */
+async function getConsentCalls(page) {
+    return await page.evaluate(() => Array.from((window.clarity && window.clarity.q) || [])
+        .map(args => Array.from(args))
+        .filter(args => args[0] === 'consent'));
+}
+
+test.describe('Microsoft Clarity (Cookieless)', () => {
+    test.skip(
+        !process.env.TEST_CLARITY_PROJECT_ID || process.env.TEST_CLARITY_CONSENT_MODE !== 'cookieless',
+        'Clarity cookieless mode not configured - skipping'
+    );
+
+    test.beforeEach(async ({ context, page }) => {
+        await context.clearCookies();
+        // Keep the command queue inspectable by not loading the real Clarity tag
+        await page.route('**/www.clarity.ms/**', route => route.fulfill({
+            contentType: 'application/javascript',
+            body: '',
+        }));
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+    });
+
+    test('clarity loads before consent without being granted', async ({ page }) => {
+        expect(await page.evaluate(() => typeof window.clarity === 'function')).toBe(true);
+        expect(await getConsentCalls(page)).toEqual([]);
+    });
+
+    test('granting analytics calls the consent API', async ({ page }) => {
+        await clickAcceptAll(page);
+
+        expect(await getConsentCalls(page)).toEqual([['consent']]);
+    });
+
+    test('revoking analytics withdraws Clarity consent', async ({ page }) => {
+        await clickAcceptAll(page);
+        await setCategoryAndSave(page, 'analytics', false);
+
+        expect(await getConsentCalls(page)).toEqual([['consent'], ['consent', false]]);
+    });
+
+    test('auto-blocker does not hold the own Clarity tag', async ({ page }) => {
+        test.skip(!process.env.TEST_AUTO_BLOCK, 'Auto-blocker not configured - skipping');
+
+        const tag = page.locator('script[data-consent-ignore][data-consent-service="microsoft_clarity"]');
+        await expect(tag).toHaveAttribute('src', /www\.clarity\.ms\/tag\//);
+        await expect(page.locator('[data-consent-auto-blocked="microsoft_clarity"]')).toHaveCount(0);
+    });
+
+    test('auto-blocker lets clarity.js through but holds Clarity tags of other modules', async ({ page }) => {
+        test.skip(!process.env.TEST_AUTO_BLOCK, 'Auto-blocker not configured - skipping');
+
+        await page.route('**/scripts.clarity.ms/**', route => route.fulfill({
+            contentType: 'application/javascript',
+            body: '',
+        }));
+        await page.evaluate(() => {
+            [
+                ['https://scripts.clarity.ms/0.7.49/clarity.js', 'clarity-script'],
+                ['https://www.clarity.ms/tag/other-project', 'other-clarity-tag'],
+            ].forEach(([url, testId]) => {
+                const script = document.createElement('script');
+                script.dataset.testid = testId;
+                script.src = url;
+                document.head.appendChild(script);
+            });
+        });
+
+        await expect(page.locator('[data-testid="clarity-script"]')).toHaveAttribute('src', /scripts\.clarity\.ms/);
+        await expect(page.locator('[data-testid="other-clarity-tag"]'))
+            .toHaveAttribute('data-consent-auto-blocked', 'microsoft_clarity');
+    });
+});
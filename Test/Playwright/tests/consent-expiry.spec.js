@@ -0,0 +1,138 @@
+/**
+ * Consent Expiry Tests
+ *
+ * Tests renewal of expired category choices:
+ * - Choices are timestamped per category
+ * - Only expired categories are shown again, pre-filled with the previous choice
+ * - Expired categories count as rejected until renewed, also while the prompt is open
+ * - Renewing refreshes only the renewed categories
+ *
+ * SKIP if TEST_CONSENT_MAX_AGE is not configured
+ *
+ * Run with: npm test -- consent-expiry.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    getBanner,
+    getConsentData,
+    SELECTORS,
+} = require('./helpers/cookie-consent.helpers');
+
+const maxAgeMonths = parseInt(process.env.TEST_CONSENT_MAX_AGE || '0', 10);
+
+/**
+ * Accept all, then backdate the choice for one category beyond the maximum consent age
+ * @param {import('@playwright/test').Page} page
+ * @param {import('@playwright/test').BrowserContext} context
+ * @param {string} category
+ */
+async function acceptAllAndExpire(page, context, category) {
+    await clickAcceptAll(page);
+
+    const consentData = await getConsentData(context);
+    const expired = new Date();
+    expired.setMonth(expired.getMonth() - maxAgeMonths - 1);
+    consentData.categoryTimestamps[category] = expired.getTime();
+
+    await page.evaluate((data) => {
+        document.cookie = 'hyva_cookie_consent=' + encodeURIComponent(JSON.stringify(data)) + '; path=/';
+    }, consentData);
+}
+
+test.describe('Consent Expiry', () => {
+    test.skip(!maxAgeMonths, 'Maximum consent age not configured - skipping');
+
+    test.beforeEach(async ({ context }) => {
+        await context.clearCookies();
+    });
+
+    test('choices are timestamped per category', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickAcceptAll(page);
+
+        const consentData = await getConsentData(context);
+        expect(consentData.categoryTimestamps.analytics).toBeGreaterThan(0);
+        expect(consentData.categoryTimestamps.marketing).toBeGreaterThan(0);
+    });
+
+    test('only the expired category is asked again', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+        await acceptAllAndExpire(page, context, 'analytics');
+
+        await page.reload({ waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await expect(getBanner(page)).toBeVisible();
+        await expect(page.locator('[data-testid="cookie-renewal-notice"]')).toBeVisible();
+        await expect(page.locator('[data-category-section="analytics"]')).toBeVisible();
+        await expect(page.locator('[data-category-section="marketing"]')).not.toBeVisible();
+
+        // Pre-filled with the previous choice
+        await expect(page.locator(SELECTORS.categoryToggle('analytics'))).toHaveAttribute('aria-checked', 'true');
+    });
+
+    test('expired category counts as rejected until renewed', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+        await acceptAllAndExpire(page, context, 'analytics');
+
+        await page.reload({ waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const state = await page.evaluate(() => ({
+            analytics: window.HyvaCookieConsent.hasConsent('analytics'),
+            marketing: window.HyvaCookieConsent.hasConsent('marketing'),
+        }));
+        expect(state.analytics).toBe(false);
+        expect(state.marketing).toBe(true);
+    });
+
+    test('expired grants are not activated while the renewal prompt is open', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+        await acceptAllAndExpire(page, context, 'analytics');
+
+        await page.reload({ waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+        await expect(page.locator(SELECTORS.categoryToggle('analytics'))).toHaveAttribute('aria-checked', 'true');
+
+        // An on-demand activation runs activateScripts() with the renewal prompt still open
+        await page.evaluate(() => {
+            const template = document.createElement('template');
+            template.dataset.consentCategory = 'analytics';
+            template.dataset.consentOnDemand = '';
+            document.body.appendChild(template);
+            window.expiredTemplate = template;
+            window.HyvaCookieConsent.activate(template);
+        });
+        await page.waitForTimeout(200);
+
+        // Activated templates are replaced by their content
+        expect(await page.evaluate(() => window.expiredTemplate.isConnected)).toBe(true);
+        expect(await page.evaluate(() => window.cookie_consent_groups.analytics)).toBe(false);
+    });
+
+    test('renewal refreshes only the renewed category', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+        await acceptAllAndExpire(page, context, 'analytics');
+        const before = await getConsentData(context);
+
+        await page.reload({ waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+        await page.locator(SELECTORS.savePreferences).click();
+        await page.waitForTimeout(500);
+
+        const after = await getConsentData(context);
+        expect(after.categories.analytics).toBe(true);
+        expect(after.categoryTimestamps.analytics).toBeGreaterThan(before.categoryTimestamps.analytics);
+        expect(after.categoryTimestamps.marketing).toBe(before.categoryTimestamps.marketing);
+        await expect(getBanner(page)).not.toBeVisible();
+    });
+});
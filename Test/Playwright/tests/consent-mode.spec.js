@@ -0,0 +1,81 @@
+/**
+ * Google Consent Mode v2 Tests
+ *
+ * Tests that consent mode signals follow the <consent_mode_signals> mapping:
+ * - Default call denies all optional signals for new visitors
+ * - Update call grants only the signals of consented categories
+ * - Signals of required categories are always granted
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    setCategoryAndSave,
+} = require('./helpers/cookie-consent.helpers');
+
+/**
+ * Get all gtag('consent', <type>, ...) states pushed to the dataLayer
+ * @param {import('@playwright/test').Page} page
+ * @param {string} type - 'default' or 'update'
+ * @returns {Promise<Array<object>>}
+ */
+async function getConsentCalls(page, type) {
+    return await page.evaluate((consentType) => (window.dataLayer || [])
+        .filter(entry => entry[0] === 'consent' && entry[1] === consentType)
+        .map(entry => ({ ...entry[2] })), type);
+}
+
+test.describe('Google Consent Mode', () => {
+    test.beforeEach(async ({ context }) => {
+        await context.clearCookies();
+    });
+
+    test('signal mapping is exposed to JavaScript', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const mapping = await page.evaluate(() => window.cookie_consent_mode_signals);
+        expect(mapping.required).toContain('security_storage');
+        expect(mapping.categories.analytics).toContain('analytics_storage');
+        expect(mapping.categories.marketing).toContain('ad_storage');
+    });
+
+    test('default call denies optional signals for new visitors', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const [defaults] = await getConsentCalls(page, 'default');
+        expect(defaults.security_storage).toBe('granted');
+        expect(defaults.analytics_storage).toBe('denied');
+        expect(defaults.ad_storage).toBe('denied');
+        expect(defaults.functionality_storage).toBe('denied');
+    });
+
+    test('update call grants only signals of consented categories', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await setCategoryAndSave(page, 'analytics', true);
+
+        const updates = await getConsentCalls(page, 'update');
+        const latest = updates[updates.length - 1];
+        expect(latest.analytics_storage).toBe('granted');
+        expect(latest.ad_storage).toBe('denied');
+        expect(latest.ad_user_data).toBe('denied');
+        expect(latest.security_storage).toBe('granted');
+    });
+
+    test('default call reflects saved consent after reload', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await setCategoryAndSave(page, 'marketing', true);
+        await page.reload({ waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const [defaults] = await getConsentCalls(page, 'default');
+        expect(defaults.ad_storage).toBe('granted');
+        expect(defaults.ad_personalization).toBe('granted');
+        expect(defaults.analytics_storage).toBe('denied');
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Consent ID and Receipt Tests
+ *
+ * Tests the consent ID and the optional server-side receipt log:
+ * - A UUID consent ID is stored in the consent cookie on the first decision
+ * - The ID is kept for later decisions
+ * - A receipt is posted after each decision and shown to the visitor
+ * - A repeated receipt of the same decision is rejected
+ *
+ * Receipt tests SKIP if TEST_CONSENT_LOG is not set
+ *
+ * Run with: npm test -- consent-receipt.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    clickRejectAll,
+    openCookieSettings,
+    getConsentData,
+} = require('./helpers/cookie-consent.helpers');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+const RECEIPT_URL_PART = '/hyva_cookie_consent/receipt/save';
+
+test.describe('Consent ID', () => {
+    test.beforeEach(async ({ context }) => {
+        await context.clearCookies();
+    });
+
+    test('no consent ID before a decision', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const consentId = await page.evaluate(() => window.HyvaCookieConsent.getConsentId());
+        expect(consentId).toBeNull();
+    });
+
+    test('decision stores a UUID consent ID in the cookie', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickAcceptAll(page);
+
+        const consentData = await getConsentData(context);
+        expect(consentData.consentId).toMatch(UUID_PATTERN);
+
+        const apiConsentId = await page.evaluate(() => window.HyvaCookieConsent.getConsentId());
+        expect(apiConsentId).toBe(consentData.consentId);
+    });
+
+    test('consent ID is kept for later decisions', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickAcceptAll(page);
+        const first = await getConsentData(context);
+
+        await page.reload({ waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+        await clickRejectAll(page);
+        const second = await getConsentData(context);
+
+        expect(second.consentId).toBe(first.consentId);
+    });
+});
+
+test.describe('Consent Receipts', () => {
+    test.skip(!process.env.TEST_CONSENT_LOG, 'Consent receipt log not enabled - skipping');
+
+    test.beforeEach(async ({ context }) => {
+        await context.clearCookies();
+    });
+
+    test('receipt is posted after a decision', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const responsePromise = page.waitForResponse(response => response.url().includes(RECEIPT_URL_PART));
+        await clickAcceptAll(page);
+        const response = await responsePromise;
+
+        expect(response.status()).toBe(200);
+        expect(await response.json()).toEqual({ success: true });
+
+        const params = new URLSearchParams(response.request().postData());
+        const consentData = await getConsentData(context);
+        expect(params.get('consent_id')).toBe(consentData.consentId);
+        expect(JSON.parse(params.get('categories')).marketing).toBe(true);
+        expect(params.get('banner_hash')).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('malformed receipt is rejected', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const status = await page.evaluate(async (url) => {
+            const response = await fetch(url, {
+                method: 'POST',
+                body: new URLSearchParams({
+                    form_key: hyva.getFormKey(),
+                    consent_id: 'not-a-uuid',
+                    version: '1',
+                    categories: '{}',
+                    timestamp: String(Date.now()),
+                    banner_hash: 'x'
+                })
+            });
+            return response.status;
+        }, RECEIPT_URL_PART.substring(1));
+
+        expect(status).toBe(400);
+    });
+
+    test('repeated receipt of the same decision is rejected', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const statuses = await page.evaluate(async (url) => {
+            const body = {
+                consent_id: crypto.randomUUID(),
+                version: '1',
+                categories: '{"necessary":true}',
+                timestamp: String(Date.now()),
+                banner_hash: '0'.repeat(64)
+            };
+            const post = async () => (await fetch(url, {
+                method: 'POST',
+                body: new URLSearchParams({ form_key: hyva.getFormKey(), ...body })
+            })).status;
+            return [await post(), await post()];
+        }, RECEIPT_URL_PART.substring(1));
+
+        expect(statuses).toEqual([200, 409]);
+    });
+
+    test('consent ID is shown in the cookie settings', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickAcceptAll(page);
+        await openCookieSettings(page);
+
+        const consentData = await getConsentData(context);
+        await expect(page.locator('[data-testid="cookie-consent-id"]')).toContainText(consentData.consentId);
+    });
+});
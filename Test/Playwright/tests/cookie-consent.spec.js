@@ -145,6 +145,22 @@ test.describe('GTM Infrastructure Mode + Consent Mode v2', () => {
         expect(consentDefault.consent_marketing).toBe(false);
     });
 
+    test('consent events list every declared category and service', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const config = await page.evaluate(() => window.cookie_consent_datalayer_config);
+        const consentDefault = await findDataLayerEvent(page, 'consent_default');
+
+        expect(consentDefault).toBeDefined();
+        Object.keys(config.categories).forEach(category => {
+            expect(consentDefault['consent_' + category]).toBe(config.categories[category]);
+        });
+        Object.keys(config.services).forEach(service => {
+            expect(consentDefault['consent_service_' + service]).toBe(config.categories[config.services[service]]);
+        });
+    });
+
     test('consent_update event fires after accepting', async ({ page }) => {
         await page.goto('/', { waitUntil: 'networkidle' });
         await waitForPageReady(page);
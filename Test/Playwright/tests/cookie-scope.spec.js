@@ -0,0 +1,72 @@
+/**
+ * Consent Cookie Scope Tests
+ *
+ * Tests the shared consent cookie domain:
+ * - Consent is saved on the configured domain
+ * - A host-only consent cookie is moved to the configured domain
+ *
+ * SKIP if TEST_COOKIE_DOMAIN is not configured
+ *
+ * Run with: npm test -- cookie-scope.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    getBanner,
+} = require('./helpers/cookie-consent.helpers');
+
+const cookieDomain = process.env.TEST_COOKIE_DOMAIN || '';
+
+/**
+ * Get all consent cookies (host-only and domain cookies can coexist)
+ * @param {import('@playwright/test').BrowserContext} context
+ * @returns {Promise<Array<object>>}
+ */
+async function getConsentCookies(context) {
+    const cookies = await context.cookies();
+    return cookies.filter(cookie => cookie.name === 'hyva_cookie_consent');
+}
+
+test.describe('Consent Cookie Scope', () => {
+    test.skip(!cookieDomain, 'Consent cookie domain not configured - skipping');
+
+    test.beforeEach(async ({ context }) => {
+        await context.clearCookies();
+    });
+
+    test('consent is saved on the configured domain', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickAcceptAll(page);
+
+        const cookies = await getConsentCookies(context);
+        expect(cookies).toHaveLength(1);
+        expect(cookies[0].domain).toBe('.' + cookieDomain.replace(/^\./, ''));
+        expect(cookies[0].path).toBe('/');
+    });
+
+    test('host-only consent cookie is moved to the configured domain', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickAcceptAll(page);
+        const [sharedCookie] = await getConsentCookies(context);
+
+        // Replace the shared cookie with a host-only cookie as written by earlier versions
+        await context.clearCookies();
+        await page.evaluate((value) => {
+            document.cookie = 'hyva_cookie_consent=' + value + '; path=/';
+        }, sharedCookie.value);
+
+        await page.reload({ waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const cookies = await getConsentCookies(context);
+        expect(cookies).toHaveLength(1);
+        expect(cookies[0].domain).toBe('.' + cookieDomain.replace(/^\./, ''));
+        await expect(getBanner(page)).not.toBeVisible();
+    });
+});
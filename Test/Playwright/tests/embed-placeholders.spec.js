@@ -0,0 +1,112 @@
+/**
+ * Click-to-Load Embed Tests
+ *
+ * Tests placeholders for consent-blocked iframes:
+ * - A placeholder replaces the iframe until its category is consented
+ * - "Load once" loads the embed without saving consent
+ * - "Always allow" grants the category and loads the embed
+ * - Embeds of services not declared in cookie_consent.xml follow their category
+ * - Embeds of consented categories load directly
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    getConsentData,
+} = require('./helpers/cookie-consent.helpers');
+
+const EMBED_SRC = 'about:blank';
+
+/**
+ * Add a blocked marketing iframe to the page before the consent engine scans it
+ * @param {import('@playwright/test').Page} page
+ * @param {string} [service] Optional data-consent-service value
+ */
+async function addBlockedEmbed(page, service) {
+    await page.addInitScript(({ src, service }) => {
+        document.addEventListener('DOMContentLoaded', () => {
+            const iframe = document.createElement('iframe');
+            iframe.dataset.consentSrc = src;
+            iframe.dataset.consentCategory = 'marketing';
+            iframe.dataset.consentProvider = 'Test Video';
+            iframe.dataset.testid = 'blocked-embed';
+            if (service) {
+                iframe.dataset.consentService = service;
+            }
+            document.body.prepend(iframe);
+        });
+    }, { src: EMBED_SRC, service });
+}
+
+test.describe('Click-to-Load Embeds', () => {
+    test.beforeEach(async ({ context }) => {
+        await context.clearCookies();
+    });
+
+    test('placeholder replaces the iframe until consent', async ({ page }) => {
+        await addBlockedEmbed(page);
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const placeholder = page.locator('[data-consent-placeholder="marketing"]');
+        await expect(placeholder).toBeAttached();
+        await expect(placeholder).toHaveAttribute('role', 'region');
+        await expect(placeholder).toContainText('Test Video');
+
+        const embed = page.locator('[data-testid="blocked-embed"]');
+        await expect(embed).toBeHidden();
+        await expect(embed).not.toHaveAttribute('src', /.+/);
+    });
+
+    test('load once loads the embed without saving consent', async ({ page, context }) => {
+        await addBlockedEmbed(page);
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await page.locator('[data-consent-placeholder="marketing"] button').first().click();
+
+        await expect(page.locator('[data-testid="blocked-embed"]')).toHaveAttribute('src', EMBED_SRC);
+        await expect(page.locator('[data-consent-placeholder]')).toHaveCount(0);
+        expect(await getConsentData(context)).toBeNull();
+    });
+
+    test('always allow grants the category and loads the embed', async ({ page, context }) => {
+        await addBlockedEmbed(page);
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await page.locator('[data-consent-placeholder="marketing"] button').last().click();
+        await page.waitForTimeout(500);
+
+        await expect(page.locator('[data-testid="blocked-embed"]')).toHaveAttribute('src', EMBED_SRC);
+        const consentData = await getConsentData(context);
+        expect(consentData.categories.marketing).toBe(true);
+        expect(consentData.categories.analytics).toBe(false);
+    });
+
+    test('embeds of services not declared in cookie_consent.xml follow their category', async ({ page }) => {
+        await addBlockedEmbed(page, 'youtube');
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await page.locator('[data-consent-placeholder="marketing"] button').last().click();
+        await page.waitForTimeout(500);
+
+        await expect(page.locator('[data-testid="blocked-embed"]')).toHaveAttribute('src', EMBED_SRC);
+        expect(await page.evaluate(() => window.HyvaCookieConsent.hasServiceConsent('youtube'))).toBe(true);
+    });
+
+    test('embeds of consented categories load directly', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+        await clickAcceptAll(page);
+
+        await addBlockedEmbed(page);
+        await page.reload({ waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await expect(page.locator('[data-testid="blocked-embed"]')).toHaveAttribute('src', EMBED_SRC);
+        await expect(page.locator('[data-consent-placeholder]')).toHaveCount(0);
+    });
+});
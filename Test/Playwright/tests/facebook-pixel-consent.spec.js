@@ -0,0 +1,91 @@
+/**
+ * Facebook Pixel Grant/Revoke Mode Tests
+ *
+ * Tests the fbq consent integration (Consent Mode: Queue events until consent):
+ * - fbq is defined before consent with consent revoked, events are queued
+ * - The pixel library is only requested after marketing consent
+ * - fbq('consent', 'grant') / fbq('consent', 'revoke') follow the marketing choice
+ * - Pixels of other modules are still held by the runtime auto-blocker (TEST_AUTO_BLOCK)
+ *
+ * SKIP if TEST_FB_PIXEL_ID is not configured or TEST_FB_CONSENT_MODE is not "grant_revoke"
+ *
+ * Run with: npm test -- facebook-pixel-consent.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    setCategoryAndSave,
+} = require('./helpers/cookie-consent.helpers');
+
+/**
+ * Get the commands queued for the pixel
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<Array<Array<*>>>}
+ */
+async function getQueue(page) {
+    return await page.evaluate(() => Array.from((window.fbq && window.fbq.queue) || [])
+        .map(args => Array.from(args)));
+}
+
+test.describe('Facebook Pixel (Grant/Revoke)', () => {
+    test.skip(
+        !process.env.TEST_FB_PIXEL_ID || process.env.TEST_FB_CONSENT_MODE !== 'grant_revoke',
+        'Facebook Pixel grant/revoke mode not configured - skipping'
+    );
+
+    let pixelRequests;
+
+    test.beforeEach(async ({ context, page }) => {
+        await context.clearCookies();
+        pixelRequests = 0;
+        // Keep the command queue inspectable by not loading the real pixel library
+        await page.route('**/connect.facebook.net/**', (route) => {
+            pixelRequests++;
+            return route.fulfill({ contentType: 'application/javascript', body: '' });
+        });
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+    });
+
+    test('events tracked before consent are queued with consent revoked', async ({ page }) => {
+        await page.evaluate(() => window.fbq('track', 'AddToCart', { value: 1, currency: 'EUR' }));
+
+        const queue = await getQueue(page);
+        expect(queue[0]).toEqual(['consent', 'revoke']);
+        expect(queue.map(args => args[1])).toContain('AddToCart');
+        expect(pixelRequests).toBe(0);
+    });
+
+    test('granting marketing grants consent and loads the pixel', async ({ page }) => {
+        await clickAcceptAll(page);
+
+        const consentCalls = (await getQueue(page)).filter(args => args[0] === 'consent');
+        expect(consentCalls).toEqual([['consent', 'revoke'], ['consent', 'grant']]);
+        await expect.poll(() => pixelRequests).toBe(1);
+    });
+
+    test('revoking marketing revokes pixel consent', async ({ page }) => {
+        await clickAcceptAll(page);
+        await setCategoryAndSave(page, 'marketing', false);
+
+        const consentCalls = (await getQueue(page)).filter(args => args[0] === 'consent');
+        expect(consentCalls).toEqual([['consent', 'revoke'], ['consent', 'grant'], ['consent', 'revoke']]);
+    });
+
+    test('auto-blocker still holds pixels of other modules', async ({ page }) => {
+        test.skip(!process.env.TEST_AUTO_BLOCK, 'Auto-blocker not configured - skipping');
+
+        await page.evaluate(() => {
+            const script = document.createElement('script');
+            script.src = 'https://connect.facebook.net/en_US/fbevents.js';
+            script.dataset.testid = 'third-party-pixel';
+            document.head.appendChild(script);
+        });
+
+        const script = page.locator('[data-testid="third-party-pixel"]');
+        await expect(script).toHaveAttribute('data-consent-auto-blocked', 'facebook_pixel');
+        expect(pixelRequests).toBe(0);
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Product Gallery Video Tests
+ *
+ * Tests the consent gate for YouTube and Vimeo videos of the product media gallery:
+ * - No video host is contacted before consent
+ * - Videos added to the gallery are held and an in-gallery prompt is shown
+ * - "Load video" plays the video once from youtube-nocookie.com without saving consent
+ *   and only releases videos of that provider
+ * - Videos outside the gallery are not held by the gallery
+ * - "Always allow" grants the category and loads the video
+ * - Videos load directly once the category is consented
+ *
+ * SKIP if TEST_PRODUCT_VIDEO_URL is not configured
+ *
+ * Run with: npm test -- gallery-video.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    getConsentData,
+} = require('./helpers/cookie-consent.helpers');
+
+const VIDEO_HOSTS = /(youtube\.com|youtube-nocookie\.com|youtu\.be|vimeo\.com)\//;
+const EMBED_SRC = 'https://www.youtube.com/embed/dQw4w9WgXcQ';
+const NOCOOKIE_SRC = 'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ';
+const VIMEO_SRC = 'https://player.vimeo.com/video/76979871';
+
+/**
+ * Add a player iframe to the gallery from a gallery click handler, like the gallery component does
+ * @param {import('@playwright/test').Page} page
+ * @param {string} [src]
+ * @param {string} [testId]
+ */
+async function addGalleryVideo(page, src = EMBED_SRC, testId = 'gallery-video') {
+    await page.evaluate(({ src, testId }) => {
+        const gallery = document.querySelector('#gallery');
+        gallery.addEventListener('click', () => {
+            const iframe = document.createElement('iframe');
+            iframe.dataset.testid = testId;
+            iframe.src = src;
+            gallery.appendChild(iframe);
+        }, { once: true });
+        gallery.click();
+    }, { src, testId });
+}
+
+test.describe('Product Gallery Videos', () => {
+    test.skip(!process.env.TEST_PRODUCT_VIDEO_URL, 'No product page with gallery videos configured - skipping');
+
+    let videoRequests;
+
+    test.beforeEach(async ({ context, page }) => {
+        await context.clearCookies();
+        videoRequests = [];
+        // Record video requests without loading the real players
+        await page.route(VIDEO_HOSTS, route => {
+            videoRequests.push(route.request().url());
+            return route.fulfill({ contentType: 'text/html', body: '' });
+        });
+        await page.goto(process.env.TEST_PRODUCT_VIDEO_URL, { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+    });
+
+    test('no video host is contacted before consent', async ({ page }) => {
+        await expect(page.locator('#gallery')).toBeAttached();
+        expect(videoRequests).toEqual([]);
+    });
+
+    test('gallery videos are held behind an in-gallery prompt', async ({ page }) => {
+        await addGalleryVideo(page);
+
+        const prompt = page.locator('#gallery [data-testid="gallery-video-consent"]');
+        await expect(prompt).toBeVisible();
+        await expect(prompt).toHaveAttribute('role', 'region');
+        await expect(prompt).toContainText('YouTube');
+        await expect(page.locator('[data-testid="gallery-video"]')).not.toHaveAttribute('src', /.+/);
+        expect(videoRequests).toEqual([]);
+    });
+
+    test('load video plays it once from youtube-nocookie.com', async ({ page, context }) => {
+        await addGalleryVideo(page);
+
+        await page.locator('[data-testid="gallery-video-consent"] button').first().click();
+
+        await expect(page.locator('[data-testid="gallery-video"]')).toHaveAttribute('src', NOCOOKIE_SRC);
+        await expect(page.locator('[data-testid="gallery-video-consent"]')).toHaveCount(0);
+        expect(await getConsentData(context)).toBeNull();
+    });
+
+    test('load video only releases videos of the same provider', async ({ page }) => {
+        await addGalleryVideo(page);
+        await addGalleryVideo(page, VIMEO_SRC, 'gallery-vimeo');
+
+        await page.locator('[data-consent-gallery-provider="YouTube"] button').first().click();
+
+        await expect(page.locator('[data-testid="gallery-video"]')).toHaveAttribute('src', NOCOOKIE_SRC);
+        await expect(page.locator('[data-testid="gallery-vimeo"]')).not.toHaveAttribute('src', /.+/);
+        await expect(page.locator('[data-consent-gallery-provider="Vimeo"]')).toBeVisible();
+    });
+
+    test('videos outside the gallery are not held by the gallery', async ({ page }) => {
+        await page.evaluate((src) => {
+            const iframe = document.createElement('iframe');
+            iframe.dataset.testid = 'page-video';
+            iframe.src = src;
+            document.body.appendChild(iframe);
+        }, EMBED_SRC);
+
+        await expect(page.locator('[data-testid="page-video"]')).not.toHaveAttribute('data-consent-gallery-video', /.*/);
+        await expect(page.locator('[data-testid="gallery-video-consent"]')).toHaveCount(0);
+    });
+
+    test('always allow grants the category and loads the video', async ({ page, context }) => {
+        await addGalleryVideo(page);
+
+        await page.locator('[data-testid="gallery-video-consent"] button').last().click();
+        await page.waitForTimeout(500);
+
+        await expect(page.locator('[data-testid="gallery-video"]')).toHaveAttribute('src', NOCOOKIE_SRC);
+        const consentData = await getConsentData(context);
+        expect(consentData.categories.marketing).toBe(true);
+        expect(consentData.categories.analytics).toBe(false);
+    });
+
+    test('videos load directly once the category is consented', async ({ page }) => {
+        await clickAcceptAll(page);
+
+        await addGalleryVideo(page);
+
+        await expect(page.locator('[data-testid="gallery-video"]')).toHaveAttribute('src', NOCOOKIE_SRC);
+        await expect(page.locator('[data-testid="gallery-video-consent"]')).toHaveCount(0);
+    });
+});
@@ -126,6 +126,26 @@ test.describe('GTM Strict Mode', () => {
         expect(consentEvent).toBeDefined();
     });
 
+    test('consent_granted event reflects the actual consent state', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        // Grant only the category GTM is declared in
+        const config = await page.evaluate(() => window.cookie_consent_datalayer_config);
+        const gtmCategory = config.services.google_tag_manager;
+        await setCategoryAndSave(page, gtmCategory, true);
+        await page.waitForTimeout(2000);
+
+        const consentEvent = await page.evaluate(() => (window.dataLayer || [])
+            .find(e => e.event === 'consent_granted'));
+
+        expect(consentEvent).toBeDefined();
+        expect(consentEvent.consent_service_google_tag_manager).toBe(true);
+        Object.keys(config.categories).forEach(category => {
+            expect(consentEvent['consent_' + category]).toBe(config.categories[category] || category === gtmCategory);
+        });
+    });
+
     test('container ID appears in template', async ({ page }) => {
         await page.goto('/', { waitUntil: 'networkidle' });
         await waitForPageReady(page);
@@ -20,6 +20,7 @@ const SELECTORS = {
     showDetails: '[data-testid="cookie-show-details"]',
     floatingButton: '[data-testid="cookie-settings-button"]',
     categoryToggle: (category) => `[data-category="${category}"]`,
+    serviceToggle: (service) => `[data-service="${service}"]`,
 };
 
 /**
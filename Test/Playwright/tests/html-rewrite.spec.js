@@ -0,0 +1,148 @@
+/**
+ * Server-Side Tag Blocking Tests
+ *
+ * Tests rewriting of hard-coded tracker tags:
+ * - Rendered HTML contains no script/iframe/img src pointing at a built-in tracker host
+ * - Rewritten tags carry the blocked form understood by the consent engine
+ * - Rewritten tags are released after accepting all
+ * - Tags in inline script strings, comments and attribute values are left alone
+ *
+ * Most assertions only bite if the shop prints hard-coded tracker tags (e.g. a
+ * third-party Facebook Pixel module).
+ *
+ * SKIP if TEST_HTML_REWRITE is not configured; the fixture test also needs
+ * TEST_HTML_REWRITE_FIXTURE_URL (a CMS page with the content of FIXTURE_MARKUP)
+ *
+ * Run with: npm test -- html-rewrite.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+} = require('./helpers/cookie-consent.helpers');
+
+// Hosts declared by the built-in services in cookie_consent.xml (GTM is exempt in infrastructure mode)
+const TRACKER_HOSTS = [
+    'google-analytics.com',
+    'analytics.google.com',
+    'clarity.ms',
+    'hotjar.com',
+    'hotjar.io',
+    'matomo.cloud',
+    'connect.facebook.net',
+    'facebook.com',
+    'analytics.tiktok.com',
+    'snap.licdn.com',
+    'px.ads.linkedin.com',
+    's.pinimg.com',
+    'ct.pinterest.com',
+    'bat.bing.com',
+];
+
+// Content of the CMS page at TEST_HTML_REWRITE_FIXTURE_URL
+const INLINE_SCRIPT = `document.write("<img src='https://px.ads.linkedin.com/collect?pid=1' alt=''>");`;
+const FIXTURE_MARKUP = `<script>${INLINE_SCRIPT}</script>
+<!-- <img src="https://px.ads.linkedin.com/collect?pid=2"> -->
+<div data-fixture='{"html": "<img src=https://px.ads.linkedin.com/collect?pid=3>"}'></div>
+<img data-testid="rewrite-fixture" alt="a > b" src="https://px.ads.linkedin.com/collect?pid=4">`;
+
+/**
+ * Get src URLs of script, iframe and img tags in raw HTML
+ *
+ * Comments and the text of script, style and textarea elements are not markup and skipped.
+ * @param {string} html
+ * @returns {string[]}
+ */
+function getTagSources(html) {
+    const markup = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/(<(script|style|textarea)\b[^>]*>)[\s\S]*?(<\/\2\s*>)/gi, '$1$3');
+    const pattern = /<(?:script|iframe|img)\s[^>]*?\ssrc\s*=\s*["']?([^"'\s>]+)/gi;
+    return [...markup.matchAll(pattern)].map(match => match[1]);
+}
+
+/**
+ * Check a URL against the tracker hosts (including subdomains)
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isTrackerUrl(url) {
+    let hostname;
+    try {
+        hostname = new URL(url, 'https://shop.invalid').hostname;
+    } catch (e) {
+        return false;
+    }
+    return TRACKER_HOSTS.some(host => hostname === host || hostname.endsWith('.' + host));
+}
+
+test.describe('Server-Side Tag Blocking', () => {
+    test.skip(!process.env.TEST_HTML_REWRITE, 'Server-side tag blocking not configured - skipping');
+
+    test.beforeEach(async ({ context, page }) => {
+        await context.clearCookies();
+        // Never reach the real tracker hosts
+        await page.route(url => isTrackerUrl(url.toString()), route => route.fulfill({ status: 204, body: '' }));
+    });
+
+    test('rendered HTML contains no tracker sources', async ({ request }) => {
+        const response = await request.get('/');
+        const html = await response.text();
+
+        const trackerSources = getTagSources(html).filter(isTrackerUrl);
+        expect(trackerSources).toEqual([]);
+    });
+
+    test('rewritten tags use the blocked form', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const blocked = await page.evaluate(() => Array.from(document.querySelectorAll('[data-consent-auto-blocked]'))
+            .map(element => ({
+                tag: element.tagName,
+                type: element.getAttribute('type'),
+                src: element.getAttribute('src'),
+                consentSrc: element.dataset.consentSrc,
+                category: element.dataset.consentCategory,
+            })));
+
+        blocked.forEach(element => {
+            expect(element.src).toBeNull();
+            expect(element.consentSrc).toBeTruthy();
+            expect(element.category).toBeTruthy();
+            if (element.tag === 'SCRIPT') {
+                expect(element.type).toBe('text/plain');
+            }
+        });
+    });
+
+    test('rewritten tags are released after accepting all', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickAcceptAll(page);
+        await page.waitForTimeout(500);
+
+        const stillBlocked = await page.locator('[data-consent-auto-blocked][data-consent-src]').count();
+        expect(stillBlocked).toBe(0);
+    });
+
+    test('only tags in markup are rewritten', async ({ page, request }) => {
+        test.skip(!process.env.TEST_HTML_REWRITE_FIXTURE_URL, 'No fixture page configured - skipping');
+
+        const response = await request.get(process.env.TEST_HTML_REWRITE_FIXTURE_URL);
+        const html = await response.text();
+
+        // Inline script, comment and attribute value come back unchanged
+        FIXTURE_MARKUP.split('\n').slice(0, 3).forEach(line => expect(html).toContain(line));
+
+        await page.goto(process.env.TEST_HTML_REWRITE_FIXTURE_URL, { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const fixture = page.locator('[data-testid="rewrite-fixture"]');
+        await expect(fixture).toHaveAttribute('data-consent-src', 'https://px.ads.linkedin.com/collect?pid=4');
+        await expect(fixture).toHaveAttribute('alt', 'a > b');
+        await expect(fixture).not.toHaveAttribute('src', /.+/);
+    });
+});
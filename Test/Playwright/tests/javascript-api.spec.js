@@ -0,0 +1,195 @@
+/**
+ * JavaScript API Tests
+ *
+ * Tests the public window.HyvaCookieConsent API:
+ * - API is available and reflects saved consent
+ * - Write methods save consent and update the banner component
+ * - onChange/whenGranted notify listeners
+ * - onServiceConsent follows grant and revocation of a service
+ * - interceptSrc holds or rewrites sources of created elements
+ * - openSettings opens the banner (optionally focused on a category)
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    getBanner,
+    getConsentData,
+} = require('./helpers/cookie-consent.helpers');
+
+test.describe('JavaScript API', () => {
+    test.beforeEach(async ({ context }) => {
+        await context.clearCookies();
+    });
+
+    test('API is available with default state for new visitors', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const state = await page.evaluate(() => ({
+            consent: window.HyvaCookieConsent.getConsent(),
+            decided: window.HyvaCookieConsent.hasDecided(),
+            analytics: window.HyvaCookieConsent.hasConsent('analytics'),
+        }));
+
+        expect(state.consent.necessary).toBe(true);
+        expect(state.consent.analytics).toBe(false);
+        expect(state.decided).toBe(false);
+        expect(state.analytics).toBe(false);
+    });
+
+    test('API reflects saved consent after reload', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickAcceptAll(page);
+
+        await page.reload({ waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const state = await page.evaluate(() => ({
+            decided: window.HyvaCookieConsent.hasDecided(),
+            marketing: window.HyvaCookieConsent.hasConsent('marketing'),
+        }));
+
+        expect(state.decided).toBe(true);
+        expect(state.marketing).toBe(true);
+    });
+
+    test('setConsent saves partial consent and closes banner', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await page.evaluate(() => window.HyvaCookieConsent.setConsent({ analytics: true }));
+        await page.waitForTimeout(500);
+
+        const consentData = await getConsentData(context);
+        expect(consentData.categories.analytics).toBe(true);
+        expect(consentData.categories.marketing).toBe(false);
+
+        await expect(getBanner(page)).not.toBeVisible();
+    });
+
+    test('setConsent cannot revoke necessary category', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await page.evaluate(() => window.HyvaCookieConsent.setConsent({ necessary: false }));
+        await page.waitForTimeout(500);
+
+        const consentData = await getConsentData(context);
+        expect(consentData.categories.necessary).toBe(true);
+    });
+
+    test('rejectAll via API denies all optional categories', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await page.evaluate(() => window.HyvaCookieConsent.rejectAll());
+        await page.waitForTimeout(500);
+
+        const consentData = await getConsentData(context);
+        expect(consentData.categories.analytics).toBe(false);
+        expect(consentData.categories.marketing).toBe(false);
+    });
+
+    test('onChange and whenGranted notify listeners', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const result = await page.evaluate(async () => {
+            const api = window.HyvaCookieConsent;
+            const changes = [];
+            const unsubscribe = api.onChange(consent => changes.push(consent));
+            const granted = api.whenGranted('marketing').then(() => true);
+
+            api.acceptAll();
+            const resolved = await granted;
+            unsubscribe();
+
+            return { resolved, changes };
+        });
+
+        expect(result.resolved).toBe(true);
+        expect(result.changes.length).toBeGreaterThanOrEqual(1);
+        expect(result.changes[0].marketing).toBe(true);
+    });
+
+    test('onServiceConsent follows grant and revocation of a service', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await page.evaluate(() => {
+            const services = window.cookie_consent_datalayer_config.services;
+            const service = Object.keys(services).find(code => services[code] === 'marketing');
+            window.__serviceConsentCalls = [];
+            window.HyvaCookieConsent.onServiceConsent(
+                service,
+                () => window.__serviceConsentCalls.push('grant'),
+                () => window.__serviceConsentCalls.push('revoke')
+            );
+            window.HyvaCookieConsent.acceptAll();
+        });
+        await expect.poll(() => page.evaluate(() => window.__serviceConsentCalls)).toEqual(['grant']);
+
+        await page.evaluate(() => window.HyvaCookieConsent.setConsent({ marketing: false }));
+        await expect.poll(() => page.evaluate(() => window.__serviceConsentCalls)).toEqual(['grant', 'revoke']);
+    });
+
+    test('interceptSrc holds or rewrites sources of created elements', async ({ page }) => {
+        await page.route(/example\.com/, route => route.fulfill({ status: 204, body: '' }));
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const sources = await page.evaluate(() => {
+            window.HyvaCookieConsent.interceptSrc((element, url) => {
+                if (url === 'https://example.com/held.png') {
+                    return false;
+                }
+                if (url === 'https://example.com/old.png') {
+                    return 'https://example.com/new.png';
+                }
+            });
+
+            const held = document.createElement('img');
+            held.src = 'https://example.com/held.png';
+            const rewritten = document.createElement('img');
+            rewritten.setAttribute('src', 'https://example.com/old.png');
+
+            return [held.getAttribute('src'), rewritten.getAttribute('src')];
+        });
+
+        expect(sources).toEqual([null, 'https://example.com/new.png']);
+    });
+
+    test('commands issued before Alpine boots are applied', async ({ page, context }) => {
+        await page.addInitScript(() => {
+            document.addEventListener('DOMContentLoaded', () => {
+                window.HyvaCookieConsent.setConsent({ preferences: true });
+            });
+        });
+
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const consentData = await getConsentData(context);
+        expect(consentData).not.toBeNull();
+        expect(consentData.categories.preferences).toBe(true);
+    });
+
+    test('openSettings opens the banner with details', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickAcceptAll(page);
+        await expect(getBanner(page)).not.toBeVisible();
+
+        await page.evaluate(() => window.HyvaCookieConsent.openSettings('marketing'));
+        await page.waitForTimeout(500);
+
+        await expect(getBanner(page)).toBeVisible();
+        const focusedCategory = await page.evaluate(() => document.activeElement?.dataset.category);
+        expect(focusedCategory).toBe('marketing');
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Matomo Cookieless Mode Tests
+ *
+ * Tests the Matomo cookie consent integration (Consent Mode: Cookieless until consent):
+ * - Matomo tracks before consent with requireCookieConsent
+ * - rememberCookieConsentGiven is pushed once analytics is granted
+ * - forgetCookieConsentGiven is pushed when analytics is revoked
+ *
+ * SKIP if TEST_MATOMO_URL / TEST_MATOMO_SITE_ID are not configured or TEST_MATOMO_CONSENT_MODE is not "cookieless"
+ *
+ * Run with: npm test -- matomo-consent.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    setCategoryAndSave,
+} = require('./helpers/cookie-consent.helpers');
+
+const CONSENT_COMMANDS = ['requireCookieConsent', 'rememberCookieConsentGiven', 'forgetCookieConsentGiven'];
+
+/**
+ * Get the cookie consent commands queued for Matomo
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<string[]>}
+ */
+async function getConsentCommands(page) {
+    return await page.evaluate((commands) => Array.from(window._paq || [])
+        .map(args => args[0])
+        .filter(command => commands.includes(command)), CONSENT_COMMANDS);
+}
+
+test.describe('Matomo (Cookieless)', () => {
+    test.skip(
+        !process.env.TEST_MATOMO_URL || !process.env.TEST_MATOMO_SITE_ID
+            || process.env.TEST_MATOMO_CONSENT_MODE !== 'cookieless',
+        'Matomo cookieless mode not configured - skipping'
+    );
+
+    test.beforeEach(async ({ context, page }) => {
+        await context.clearCookies();
+        // Keep the command queue inspectable by not loading the real Matomo tracker
+        await page.route('**/matomo.js', route => route.fulfill({
+            contentType: 'application/javascript',
+            body: '',
+        }));
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+    });
+
+    test('matomo tracks before consent without cookies', async ({ page }) => {
+        expect(await getConsentCommands(page)).toEqual(['requireCookieConsent']);
+        expect(await page.evaluate(() => window._paq.some(args => args[0] === 'trackPageView'))).toBe(true);
+    });
+
+    test('granting analytics remembers cookie consent', async ({ page }) => {
+        await clickAcceptAll(page);
+
+        expect(await getConsentCommands(page)).toEqual(['requireCookieConsent', 'rememberCookieConsentGiven']);
+    });
+
+    test('revoking analytics forgets cookie consent', async ({ page }) => {
+        await clickAcceptAll(page);
+        await setCategoryAndSave(page, 'analytics', false);
+
+        expect(await getConsentCommands(page)).toEqual([
+            'requireCookieConsent',
+            'rememberCookieConsentGiven',
+            'forgetCookieConsentGiven',
+        ]);
+    });
+});
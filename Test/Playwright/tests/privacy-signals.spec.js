@@ -0,0 +1,88 @@
+/**
+ * Browser Privacy Signal Tests
+ *
+ * Tests Global Privacy Control handling with the default configuration
+ * (GPC honored, Marketing affected):
+ * - Banner shows a notice when the signal is set
+ * - Accept All does not grant affected categories
+ * - Explicitly switching an affected category on is respected
+ * - The honored signal is recorded in the saved consent
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    setCategoryAndSave,
+    getConsentData,
+} = require('./helpers/cookie-consent.helpers');
+
+const GPC_NOTICE = '[data-testid="cookie-privacy-signal-gpc"]';
+
+/**
+ * Make the browser report navigator.globalPrivacyControl = true
+ * @param {import('@playwright/test').Page} page
+ */
+async function enableGlobalPrivacyControl(page) {
+    await page.addInitScript(() => {
+        Object.defineProperty(Navigator.prototype, 'globalPrivacyControl', { get: () => true });
+    });
+}
+
+test.describe('Browser Privacy Signals', () => {
+    test.beforeEach(async ({ context }) => {
+        await context.clearCookies();
+    });
+
+    test('no notice without a signal', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await expect(page.locator(GPC_NOTICE)).not.toBeVisible();
+    });
+
+    test('notice is shown when Global Privacy Control is set', async ({ page }) => {
+        await enableGlobalPrivacyControl(page);
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await expect(page.locator(GPC_NOTICE)).toBeVisible();
+    });
+
+    test('accept all keeps affected categories rejected', async ({ page, context }) => {
+        await enableGlobalPrivacyControl(page);
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickAcceptAll(page);
+
+        const consentData = await getConsentData(context);
+        expect(consentData.categories.analytics).toBe(true);
+        expect(consentData.categories.marketing).toBe(false);
+        expect(consentData.privacySignal.sources).toEqual(['gpc']);
+        expect(consentData.privacySignal.categories).toEqual(['marketing']);
+    });
+
+    test('explicitly granted category is respected', async ({ page, context }) => {
+        await enableGlobalPrivacyControl(page);
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await setCategoryAndSave(page, 'marketing', true);
+
+        const consentData = await getConsentData(context);
+        expect(consentData.categories.marketing).toBe(true);
+        expect(consentData.privacySignal.categories).toEqual([]);
+    });
+
+    test('no signal is recorded without Global Privacy Control', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickAcceptAll(page);
+
+        const consentData = await getConsentData(context);
+        expect(consentData.categories.marketing).toBe(true);
+        expect(consentData.privacySignal).toBeNull();
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Google reCAPTCHA Consent Tests
+ *
+ * Tests the just-in-time consent interstitial for reCAPTCHA-protected forms:
+ * - reCAPTCHA is held until consent, also when a protected form requests it
+ * - Focusing a protected form shows the interstitial inside the form
+ * - Submitting a protected form without consent is stopped
+ * - "Allow reCAPTCHA" saves consent and loads reCAPTCHA without a page reload
+ *
+ * SKIP if TEST_RECAPTCHA is not configured
+ *
+ * Run with: npm test -- recaptcha-consent.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    getConsentData,
+} = require('./helpers/cookie-consent.helpers');
+
+const RECAPTCHA_SRC = 'https://www.google.com/recaptcha/api.js?render=explicit';
+
+/**
+ * Add a form protected by reCAPTCHA like Magento_ReCaptcha renders it
+ * @param {import('@playwright/test').Page} page
+ */
+async function addProtectedForm(page) {
+    await page.evaluate(() => {
+        const form = document.createElement('form');
+        form.action = '#submitted';
+        form.dataset.testid = 'protected-form';
+        form.innerHTML = '<div class="g-recaptcha"></div>'
+            + '<input type="email" name="email" data-testid="protected-email">'
+            + '<button type="submit">Send</button>';
+        document.body.prepend(form);
+    });
+}
+
+/**
+ * Request reCAPTCHA like the widget does on first interaction
+ * @param {import('@playwright/test').Page} page
+ */
+async function requestRecaptcha(page) {
+    await page.evaluate((src) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = () => { window.recaptchaLoaded = true; };
+        document.head.appendChild(script);
+    }, RECAPTCHA_SRC);
+}
+
+test.describe('Google reCAPTCHA Consent', () => {
+    test.skip(!process.env.TEST_RECAPTCHA, 'reCAPTCHA consent not configured - skipping');
+
+    let recaptchaRequests;
+
+    test.beforeEach(async ({ context, page }) => {
+        await context.clearCookies();
+        recaptchaRequests = [];
+        // Record reCAPTCHA requests without loading the real widget
+        await page.route('**/recaptcha/**', route => {
+            recaptchaRequests.push(route.request().url());
+            return route.fulfill({ contentType: 'application/javascript', body: '' });
+        });
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+        await addProtectedForm(page);
+    });
+
+    test('reCAPTCHA is held until consent', async ({ page }) => {
+        await page.locator('[data-testid="protected-email"]').focus();
+        await requestRecaptcha(page);
+
+        const held = page.locator('script[data-consent-service="google_recaptcha"]');
+        await expect(held).toHaveAttribute('type', 'text/plain');
+        await expect(held).toHaveAttribute('data-consent-category', 'marketing');
+        expect(recaptchaRequests).toEqual([]);
+    });
+
+    test('focusing a protected form shows the interstitial', async ({ page }) => {
+        await page.locator('[data-testid="protected-email"]').focus();
+
+        const interstitial = page.locator('[data-testid="protected-form"] [data-testid="recaptcha-consent"]');
+        await expect(interstitial).toBeVisible();
+        await expect(interstitial).toHaveAttribute('role', 'region');
+    });
+
+    test('submitting without consent is stopped', async ({ page }) => {
+        await page.locator('[data-testid="protected-email"]').press('Enter');
+
+        expect(page.url()).not.toContain('#submitted');
+        await expect(page.locator('[data-testid="recaptcha-consent"] button')).toBeFocused();
+    });
+
+    test('allowing loads reCAPTCHA without a reload', async ({ page, context }) => {
+        await page.evaluate(() => { window.pageMarker = true; });
+        await page.locator('[data-testid="protected-email"]').focus();
+        await requestRecaptcha(page);
+
+        await page.locator('[data-testid="recaptcha-consent"] button').click();
+        await page.waitForTimeout(500);
+
+        expect(recaptchaRequests).toHaveLength(1);
+        expect(await page.evaluate(() => window.recaptchaLoaded)).toBe(true);
+        expect(await page.evaluate(() => window.pageMarker)).toBe(true);
+        await expect(page.locator('[data-testid="recaptcha-consent"]')).toHaveCount(0);
+
+        const consentData = await getConsentData(context);
+        expect(consentData.categories.marketing).toBe(true);
+        expect(consentData.categories.analytics).toBe(false);
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Regional Consent Regime Tests
+ *
+ * Tests region-based regimes with the default configuration (US opt-out, others opt-in).
+ * The visitor country is forced through the region cookie:
+ * - Opt-out countries get pre-granted categories without a saved decision
+ * - Opt-in countries get nothing before consent
+ * - The regime is recorded in the saved consent
+ *
+ * SKIP if TEST_REGIONS is not set
+ *
+ * Run with: npm test -- regions.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickRejectAll,
+    getBanner,
+    getConsentData,
+} = require('./helpers/cookie-consent.helpers');
+
+const REGION_COOKIE_NAME = 'hyva_cookie_consent_country';
+
+/**
+ * Set the region cookie so the banner skips the header echo request
+ * @param {import('@playwright/test').BrowserContext} context
+ * @param {string} country
+ */
+async function setCountry(context, country) {
+    const baseUrl = new URL(process.env.PLAYWRIGHT_BASE_URL || 'https://example.com');
+    await context.addCookies([{ name: REGION_COOKIE_NAME, value: country, domain: baseUrl.hostname, path: '/' }]);
+}
+
+test.describe('Regional Consent Regimes', () => {
+    test.skip(!process.env.TEST_REGIONS, 'Regional regimes not enabled - skipping');
+
+    test.beforeEach(async ({ context }) => {
+        await context.clearCookies();
+    });
+
+    test('opt-out country gets pre-granted categories without a decision', async ({ page, context }) => {
+        await setCountry(context, 'US');
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const state = await page.evaluate(() => ({
+            analytics: window.HyvaCookieConsent.hasConsent('analytics'),
+            decided: window.HyvaCookieConsent.hasDecided(),
+        }));
+        expect(state.analytics).toBe(true);
+        expect(state.decided).toBe(false);
+
+        await expect(getBanner(page)).toBeVisible();
+        await expect(page.locator('[data-testid="cookie-regime-notice-opt-out"]')).toBeVisible();
+        expect(await getConsentData(context)).toBeNull();
+    });
+
+    test('opt-in country gets nothing before consent', async ({ page, context }) => {
+        await setCountry(context, 'DE');
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const analytics = await page.evaluate(() => window.HyvaCookieConsent.hasConsent('analytics'));
+        expect(analytics).toBe(false);
+        await expect(page.locator('[data-testid="cookie-regime-notice-opt-out"]')).not.toBeVisible();
+    });
+
+    test('rejecting in an opt-out country records the regime', async ({ page, context }) => {
+        await setCountry(context, 'US');
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickRejectAll(page);
+
+        const consentData = await getConsentData(context);
+        expect(consentData.categories.analytics).toBe(false);
+        expect(consentData.region).toEqual({ country: 'US', regime: 'opt_out' });
+    });
+
+    test('country is resolved via the header echo endpoint without cookie', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const cookies = await context.cookies();
+        const regionCookie = cookies.find(cookie => cookie.name === REGION_COOKIE_NAME);
+        expect(regionCookie?.value || '').toMatch(/^([A-Z]{2})?$/);
+    });
+});
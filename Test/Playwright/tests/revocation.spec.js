@@ -0,0 +1,96 @@
+/**
+ * Revocation Flow Tests
+ *
+ * Tests withdrawing consent for services already running on the page:
+ * - Revoking an activated category dispatches cookie-consent-revoked
+ * - A reload notice is offered (default "Reload After Revocation: Offer")
+ * - Revoking a category that was never activated needs no reload
+ * - Opt-out hooks registered with HyvaCookieConsent.onRevoke() are called
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    setCategoryAndSave,
+} = require('./helpers/cookie-consent.helpers');
+
+/**
+ * Add a blocked analytics element and record revocation events
+ * @param {import('@playwright/test').Page} page
+ */
+async function prepareRevocation(page) {
+    await page.evaluate(() => {
+        const template = document.createElement('template');
+        template.dataset.consentCategory = 'analytics';
+        template.innerHTML = '<span data-testid="activated-analytics"></span>';
+        document.body.appendChild(template);
+
+        window.revocationEvents = [];
+        window.addEventListener('cookie-consent-revoked', (event) => {
+            window.revocationEvents.push(event.detail);
+        });
+    });
+}
+
+test.describe('Revocation Flow', () => {
+    test.beforeEach(async ({ context, page }) => {
+        await context.clearCookies();
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+        await prepareRevocation(page);
+    });
+
+    test('revoking an activated category offers a reload', async ({ page }) => {
+        await clickAcceptAll(page);
+        await expect(page.locator('[data-testid="activated-analytics"]')).toBeAttached();
+
+        await setCategoryAndSave(page, 'analytics', false);
+
+        const events = await page.evaluate(() => window.revocationEvents);
+        expect(events).toHaveLength(1);
+        expect(events[0].categories).toEqual(['analytics']);
+
+        const notice = page.locator('[data-testid="cookie-revocation-notice"]');
+        await expect(notice).toBeVisible();
+        await expect(notice).toHaveAttribute('role', 'alertdialog');
+
+        await Promise.all([
+            page.waitForEvent('load'),
+            page.locator('[data-testid="cookie-revocation-reload"]').click(),
+        ]);
+        await expect(page.locator('[data-testid="activated-analytics"]')).toHaveCount(0);
+    });
+
+    test('revoking a category that was not activated needs no reload', async ({ page }) => {
+        await clickAcceptAll(page);
+
+        await setCategoryAndSave(page, 'preferences', false);
+
+        expect(await page.evaluate(() => window.revocationEvents)).toHaveLength(0);
+        await expect(page.locator('[data-testid="cookie-revocation-notice"]')).toBeHidden();
+    });
+
+    test('opt-out hooks of revoked services are called', async ({ page }) => {
+        const service = await page.evaluate(() => Object.keys(window.cookie_consent_service_config)
+            .find(code => window.cookie_consent_service_config[code].category === 'analytics'));
+        test.skip(!service, 'No analytics service with a template enabled - skipping');
+
+        await page.evaluate((code) => {
+            const template = document.createElement('template');
+            template.dataset.consentCategory = 'analytics';
+            template.dataset.consentService = code;
+            document.body.appendChild(template);
+
+            window.optOutCalls = 0;
+            window.HyvaCookieConsent.onRevoke(code, () => window.optOutCalls++);
+        }, service);
+
+        await clickAcceptAll(page);
+        await setCategoryAndSave(page, 'analytics', false);
+
+        expect(await page.evaluate(() => window.optOutCalls)).toBe(1);
+        const events = await page.evaluate(() => window.revocationEvents);
+        expect(events[0].services).toContain(service);
+    });
+});
@@ -19,10 +19,27 @@ const {
 // Service IDs from environment
 const ga4Id = process.env.TEST_GA4_MEASUREMENT_ID;
 const fbPixelId = process.env.TEST_FB_PIXEL_ID;
+const fbGrantRevoke = process.env.TEST_FB_CONSENT_MODE === 'grant_revoke';
 const hotjarId = process.env.TEST_HOTJAR_SITE_ID;
 const clarityId = process.env.TEST_CLARITY_PROJECT_ID;
+const clarityCookieless = process.env.TEST_CLARITY_CONSENT_MODE === 'cookieless';
 const matomoUrl = process.env.TEST_MATOMO_URL;
 const matomoSiteId = process.env.TEST_MATOMO_SITE_ID;
+const matomoCookieless = process.env.TEST_MATOMO_CONSENT_MODE === 'cookieless';
+const uetConsentMode = process.env.TEST_UET_CONSENT_MODE === 'consent_mode';
+
+// Marketing service pack: service code, configured ID and the global defined by its snippet
+const MARKETING_PACK = [
+    { title: 'TikTok Pixel', code: 'tiktok_pixel', id: process.env.TEST_TIKTOK_PIXEL_ID, global: 'ttq' },
+    { title: 'LinkedIn Insight Tag', code: 'linkedin_insight', id: process.env.TEST_LINKEDIN_PARTNER_ID, global: 'lintrk' },
+    { title: 'Pinterest Tag', code: 'pinterest_tag', id: process.env.TEST_PINTEREST_TAG_ID, global: 'pintrk' },
+    {
+        title: 'Microsoft Advertising UET',
+        code: 'microsoft_uet',
+        id: uetConsentMode ? '' : process.env.TEST_UET_TAG_ID,
+        global: 'uetq',
+    },
+];
 
 // =============================================================================
 // Google Analytics 4 Tests
@@ -87,7 +104,7 @@ test.describe('Google Analytics 4', () => {
 // Facebook Pixel Tests
 // =============================================================================
 test.describe('Facebook Pixel', () => {
-    test.skip(!fbPixelId, 'Facebook Pixel ID not configured - skipping');
+    test.skip(!fbPixelId || fbGrantRevoke, 'Facebook Pixel ID not configured or grant/revoke mode - skipping');
 
     test.beforeEach(async ({ context }) => {
         await context.clearCookies();
@@ -202,7 +219,7 @@ test.describe('Hotjar', () => {
 // Microsoft Clarity Tests
 // =============================================================================
 test.describe('Microsoft Clarity', () => {
-    test.skip(!clarityId, 'Clarity Project ID not configured - skipping');
+    test.skip(!clarityId || clarityCookieless, 'Clarity Project ID not configured or cookieless mode - skipping');
 
     test.beforeEach(async ({ context }) => {
         await context.clearCookies();
@@ -257,7 +274,10 @@ test.describe('Microsoft Clarity', () => {
 // Matomo Tests
 // =============================================================================
 test.describe('Matomo', () => {
-    test.skip(!matomoUrl || !matomoSiteId, 'Matomo URL or Site ID not configured - skipping');
+    test.skip(
+        !matomoUrl || !matomoSiteId || matomoCookieless,
+        'Matomo URL or Site ID not configured or cookieless mode - skipping'
+    );
 
     test.beforeEach(async ({ context }) => {
         await context.clearCookies();
@@ -312,6 +332,42 @@ test.describe('Matomo', () => {
     });
 });
 
+// =============================================================================
+// Marketing Service Pack Tests (TikTok, LinkedIn, Pinterest, Microsoft UET)
+// =============================================================================
+MARKETING_PACK.forEach(({ title, code, id, global }) => {
+    test.describe(title, () => {
+        test.skip(!id, `${title} ID not configured or consent mode - skipping`);
+
+        test.beforeEach(async ({ context, page }) => {
+            await context.clearCookies();
+            await page.goto('/', { waitUntil: 'networkidle' });
+            await waitForPageReady(page);
+        });
+
+        test('template renders with marketing category and ID', async ({ page }) => {
+            const templateContent = await page.evaluate((service) => {
+                const template = document.querySelector(`template[data-consent-service="${service}"]`);
+                return template ? template.dataset.consentCategory + ' ' + template.innerHTML : '';
+            }, code);
+
+            expect(templateContent).toContain('marketing');
+            expect(templateContent).toContain(id);
+        });
+
+        test('snippet not executed before consent', async ({ page }) => {
+            expect(await page.evaluate((name) => typeof window[name], global)).toBe('undefined');
+        });
+
+        test('snippet executed after marketing consent', async ({ page }) => {
+            await setCategoryAndSave(page, 'marketing', true);
+            await page.waitForTimeout(2000);
+
+            expect(await page.evaluate((name) => typeof window[name], global)).not.toBe('undefined');
+        });
+    });
+});
+
 // =============================================================================
 // General Template Tests
 // =============================================================================
@@ -0,0 +1,101 @@
+/**
+ * Per-Service Consent Tests
+ *
+ * Tests the optional per-service toggles:
+ * - Services are listed below their category in the banner
+ * - Deselecting a service is stored in the consent cookie
+ * - Blocked elements of deselected services stay inactive
+ *
+ * SKIP if TEST_SERVICE_TOGGLES is not set or no service is configured
+ *
+ * Run with: npm test -- service-toggles.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    openCookieSettings,
+    clickAcceptAll,
+    getConsentData,
+    SELECTORS,
+} = require('./helpers/cookie-consent.helpers');
+
+/**
+ * Get the first directly loaded service and its category
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<{code: string, category: string}|null>}
+ */
+async function getFirstService(page) {
+    return await page.evaluate(() => {
+        const config = window.cookie_consent_service_config || {};
+        const code = Object.keys(config)[0];
+        return code ? { code, category: config[code].category } : null;
+    });
+}
+
+test.describe('Per-Service Consent', () => {
+    test.skip(!process.env.TEST_SERVICE_TOGGLES, 'Per-service toggles not enabled - skipping');
+
+    test.beforeEach(async ({ context }) => {
+        await context.clearCookies();
+    });
+
+    test('deselected service is stored in the consent cookie', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const service = await getFirstService(page);
+        test.skip(!service, 'No directly loaded service configured');
+
+        await openCookieSettings(page);
+        await page.locator(SELECTORS.categoryToggle(service.category)).click();
+        await page.locator(SELECTORS.serviceToggle(service.code)).click();
+        await page.locator(SELECTORS.savePreferences).click();
+        await page.waitForTimeout(500);
+
+        const consentData = await getConsentData(context);
+        expect(consentData.services[service.code]).toBe(false);
+
+        const hasServiceConsent = await page.evaluate(
+            (code) => window.HyvaCookieConsent.hasServiceConsent(code),
+            service.code
+        );
+        expect(hasServiceConsent).toBe(false);
+    });
+
+    test('deselected service is not activated', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const service = await getFirstService(page);
+        test.skip(!service, 'No directly loaded service configured');
+
+        await clickAcceptAll(page);
+        await page.evaluate((code) => {
+            window.HyvaCookieConsent.setConsent({}, { [code]: false });
+        }, service.code);
+        await page.waitForTimeout(500);
+        await page.reload({ waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const pending = await page.locator(`template[data-consent-service="${service.code}"]`).count();
+        expect(pending).toBeGreaterThan(0);
+    });
+
+    test('selecting a single service grants its category', async ({ page, context }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const service = await getFirstService(page);
+        test.skip(!service, 'No directly loaded service configured');
+
+        await openCookieSettings(page);
+        await page.locator(SELECTORS.serviceToggle(service.code)).click();
+        await page.locator(SELECTORS.savePreferences).click();
+        await page.waitForTimeout(500);
+
+        const consentData = await getConsentData(context);
+        expect(consentData.categories[service.category]).toBe(true);
+        expect(consentData.services[service.code]).toBe(true);
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Web Storage Governance Tests
+ *
+ * Tests <storage> entries of cookie_consent.xml:
+ * - Declared storage entries are listed in the cookie details
+ * - Revoking a category clears its declared localStorage and sessionStorage keys
+ * - The storage guard refuses writes for non-consented categories
+ *
+ * Storage guard tests SKIP if TEST_STORAGE_GUARD is not configured
+ *
+ * Run with: npm test -- storage-governance.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    setCategoryAndSave,
+} = require('./helpers/cookie-consent.helpers');
+
+// Declared as preferences localStorage by the built-in magento_recently_viewed service
+const PREFERENCES_KEY = 'recently_viewed_product';
+// Declared as necessary localStorage by the built-in magento_cache service
+const NECESSARY_KEY = 'mage-cache-storage';
+const UNDECLARED_KEY = 'playwright_undeclared_key';
+
+/**
+ * Write a localStorage key and read it back
+ * @param {import('@playwright/test').Page} page
+ * @param {string} key
+ * @returns {Promise<string|null>}
+ */
+async function writeLocalStorage(page, key) {
+    return await page.evaluate((name) => {
+        localStorage.setItem(name, '{}');
+        return localStorage.getItem(name);
+    }, key);
+}
+
+test.describe('Web Storage Governance', () => {
+    test.beforeEach(async ({ context }) => {
+        await context.clearCookies();
+    });
+
+    test('declared storage entries are listed in the cookie details', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const patterns = await page.evaluate(() => window.cookie_consent_storage_patterns);
+        expect(patterns.preferences.localStorage).toContain(PREFERENCES_KEY);
+        await expect(page.locator('[data-consent-storage-type="localStorage"]').first()).toBeAttached();
+    });
+
+    test('revoking a category clears its declared storage keys', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+        await clickAcceptAll(page);
+
+        expect(await writeLocalStorage(page, PREFERENCES_KEY)).not.toBeNull();
+        expect(await writeLocalStorage(page, UNDECLARED_KEY)).not.toBeNull();
+
+        await setCategoryAndSave(page, 'preferences', false);
+
+        const remaining = await page.evaluate(() => Object.keys(localStorage));
+        expect(remaining).not.toContain(PREFERENCES_KEY);
+        expect(remaining).toContain(UNDECLARED_KEY);
+
+        await page.evaluate((key) => localStorage.removeItem(key), UNDECLARED_KEY);
+    });
+
+    test.describe('Storage Guard', () => {
+        test.beforeEach(async ({ page }) => {
+            test.skip(!process.env.TEST_STORAGE_GUARD, 'TEST_STORAGE_GUARD not configured - skipping');
+            await page.goto('/', { waitUntil: 'networkidle' });
+            await waitForPageReady(page);
+            await page.evaluate((key) => localStorage.removeItem(key), PREFERENCES_KEY);
+        });
+
+        test('writes for non-consented categories are refused', async ({ page }) => {
+            expect(await writeLocalStorage(page, PREFERENCES_KEY)).toBeNull();
+            expect(await writeLocalStorage(page, NECESSARY_KEY)).not.toBeNull();
+            expect(await writeLocalStorage(page, UNDECLARED_KEY)).not.toBeNull();
+
+            await page.evaluate((key) => localStorage.removeItem(key), UNDECLARED_KEY);
+        });
+
+        test('writes are allowed once the category is consented', async ({ page }) => {
+            await clickAcceptAll(page);
+
+            expect(await writeLocalStorage(page, PREFERENCES_KEY)).not.toBeNull();
+        });
+    });
+});
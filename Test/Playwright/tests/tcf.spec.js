@@ -0,0 +1,177 @@
+/**
+ * IAB TCF v2.2 Tests
+ *
+ * Tests the optional TCF mode:
+ * - __tcfapi and the __tcfapiLocator iframe are present
+ * - ping reports a loaded CMP
+ * - TC string is empty before and encoded after a decision
+ * - Purpose consents follow category consent
+ *
+ * SKIP if TEST_TCF_CMP_ID is not configured
+ *
+ * Run with: npm test -- tcf.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    clickRejectAll,
+    setCategoryAndSave,
+} = require('./helpers/cookie-consent.helpers');
+
+const cmpId = parseInt(process.env.TEST_TCF_CMP_ID || '0', 10);
+
+/**
+ * Call __tcfapi and resolve with [returnValue, success]
+ * @param {import('@playwright/test').Page} page
+ * @param {string} command
+ */
+async function callTcfApi(page, command) {
+    return await page.evaluate((cmd) => new Promise(resolve => {
+        window.__tcfapi(cmd, 2, (returnValue, success) => {
+            resolve([returnValue, success]);
+        });
+    }), command);
+}
+
+/**
+ * Decode the first six bits of a TC string (version field)
+ * @param {string} tcString
+ * @returns {number}
+ */
+function decodeVersion(tcString) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+    return alphabet.indexOf(tcString[0]);
+}
+
+test.describe('IAB TCF v2.2', () => {
+    test.skip(!cmpId, 'TCF CMP ID not configured - skipping');
+
+    test.beforeEach(async ({ context }) => {
+        await context.clearCookies();
+    });
+
+    test('__tcfapi and locator iframe are present', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const hasApi = await page.evaluate(() => typeof window.__tcfapi === 'function');
+        expect(hasApi).toBe(true);
+
+        await expect(page.locator('iframe[name="__tcfapiLocator"]')).toBeAttached();
+    });
+
+    test('head stub answers ping and queues commands until the CMP API is loaded', async ({ page }) => {
+        // Call __tcfapi as soon as the stub defines it, like a script in the head would
+        await page.addInitScript(() => {
+            let tcfapi;
+            Object.defineProperty(window, '__tcfapi', {
+                configurable: true,
+                get() {
+                    return tcfapi;
+                },
+                set(value) {
+                    if (!tcfapi) {
+                        value('ping', 2, (ping) => { window.__tcfStubPing = ping; });
+                        value('getTCData', 2, (tcData, success) => { window.__tcfQueuedCall = { tcData, success }; });
+                    }
+                    tcfapi = value;
+                }
+            });
+        });
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const stubPing = await page.evaluate(() => window.__tcfStubPing);
+        expect(stubPing.cmpLoaded).toBe(false);
+        expect(stubPing.cmpStatus).toBe('stub');
+
+        const queuedCall = await page.evaluate(() => window.__tcfQueuedCall);
+        expect(queuedCall.success).toBe(true);
+        expect(queuedCall.tcData.cmpId).toBe(cmpId);
+    });
+
+    test('ping reports loaded CMP with visible UI for new visitors', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const [ping, success] = await callTcfApi(page, 'ping');
+        expect(success).toBe(true);
+        expect(ping.cmpLoaded).toBe(true);
+        expect(ping.cmpId).toBe(cmpId);
+        expect(ping.apiVersion).toBe('2.2');
+        expect(ping.displayStatus).toBe('visible');
+    });
+
+    test('TC string is empty before a decision', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const [tcData] = await callTcfApi(page, 'addEventListener');
+        expect(tcData.eventStatus).toBe('cmpuishown');
+        expect(tcData.tcString).toBe('');
+    });
+
+    test('accepting all encodes a TC string with purpose consent', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickAcceptAll(page);
+
+        const [tcData] = await callTcfApi(page, 'addEventListener');
+        expect(tcData.tcString).not.toBe('');
+        expect(decodeVersion(tcData.tcString)).toBe(2);
+        expect(tcData.purpose.consents[1]).toBe(true);
+        expect(tcData.purpose.consents[7]).toBe(true);
+    });
+
+    test('rejecting all signals no purpose consent', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickRejectAll(page);
+
+        const [tcData] = await callTcfApi(page, 'addEventListener');
+        expect(tcData.tcString).not.toBe('');
+        expect(Object.values(tcData.purpose.consents).every(value => value === false)).toBe(true);
+    });
+
+    test('listeners receive useractioncomplete after saving', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await page.evaluate(() => {
+            window.__tcfEvents = [];
+            window.__tcfapi('addEventListener', 2, (tcData) => {
+                window.__tcfEvents.push(tcData.eventStatus);
+            });
+        });
+
+        await setCategoryAndSave(page, 'analytics', true);
+
+        const events = await page.evaluate(() => window.__tcfEvents);
+        expect(events).toContain('useractioncomplete');
+    });
+
+    test('saved consent is reported as tcloaded after reload', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await clickAcceptAll(page);
+        await page.reload({ waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const [tcData] = await callTcfApi(page, 'addEventListener');
+        expect(tcData.eventStatus).toBe('tcloaded');
+    });
+
+    test('Google Consent Mode default is still set', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        const hasConsentDefault = await page.evaluate(() => (window.dataLayer || [])
+            .some(entry => entry[0] === 'consent' && entry[1] === 'default'));
+        expect(hasConsentDefault).toBe(true);
+    });
+});
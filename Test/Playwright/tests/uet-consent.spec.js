@@ -0,0 +1,81 @@
+/**
+ * Microsoft Advertising UET Consent Mode Tests
+ *
+ * Tests the UET consent mode integration (Consent Mode: Ad storage denied until consent):
+ * - UET loads before consent with ad_storage denied
+ * - ad_storage is updated to granted once marketing is granted
+ * - ad_storage is updated to denied when marketing is revoked
+ * - The runtime auto-blocker lets the module's own UET tag through (TEST_AUTO_BLOCK)
+ *
+ * SKIP if TEST_UET_TAG_ID is not configured or TEST_UET_CONSENT_MODE is not "consent_mode"
+ *
+ * Run with: npm test -- uet-consent.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+    setCategoryAndSave,
+} = require('./helpers/cookie-consent.helpers');
+
+/**
+ * Get the ad_storage values of the consent commands queued for UET
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<string[]>}
+ */
+async function getAdStorageCalls(page) {
+    return await page.evaluate(() => {
+        const queue = Array.from(window.uetq || []);
+        const calls = [];
+        queue.forEach((item, index) => {
+            if (item === 'consent') {
+                calls.push(queue[index + 1] + ':' + queue[index + 2].ad_storage);
+            }
+        });
+        return calls;
+    });
+}
+
+test.describe('Microsoft Advertising UET (Consent Mode)', () => {
+    test.skip(
+        !process.env.TEST_UET_TAG_ID || process.env.TEST_UET_CONSENT_MODE !== 'consent_mode',
+        'UET consent mode not configured - skipping'
+    );
+
+    test.beforeEach(async ({ context, page }) => {
+        await context.clearCookies();
+        // Keep the command queue inspectable: the stub UET constructor keeps uetq as plain array
+        await page.route('**/bat.bing.com/**', route => route.fulfill({
+            contentType: 'application/javascript',
+            body: 'window.UET = function (options) { return options.q; };',
+        }));
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+    });
+
+    test('uet loads before consent with ad storage denied', async ({ page }) => {
+        expect(await getAdStorageCalls(page)).toEqual(['default:denied']);
+    });
+
+    test('granting marketing grants ad storage', async ({ page }) => {
+        await clickAcceptAll(page);
+
+        expect(await getAdStorageCalls(page)).toEqual(['default:denied', 'update:granted']);
+    });
+
+    test('revoking marketing denies ad storage', async ({ page }) => {
+        await clickAcceptAll(page);
+        await setCategoryAndSave(page, 'marketing', false);
+
+        expect(await getAdStorageCalls(page)).toEqual(['default:denied', 'update:granted', 'update:denied']);
+    });
+
+    test('auto-blocker does not hold the own UET tag', async ({ page }) => {
+        test.skip(!process.env.TEST_AUTO_BLOCK, 'Auto-blocker not configured - skipping');
+
+        const tag = page.locator('script[data-consent-ignore][data-consent-service="microsoft_uet"]');
+        await expect(tag).toHaveAttribute('src', 'https://bat.bing.com/bat.js');
+        await expect(page.locator('[data-consent-auto-blocked="microsoft_uet"]')).toHaveCount(0);
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * Undeclared Cookie Detector Tests
+ *
+ * Tests the developer mode detector:
+ * - Undeclared cookies and localStorage keys are listed in the overlay and console
+ * - Declared cookies are not reported
+ *
+ * SKIP if TEST_DEVELOPER_MODE is not configured (shop must run in developer mode)
+ *
+ * Run with: npm test -- undeclared-cookies.spec.js
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+    waitForPageReady,
+    clickAcceptAll,
+} = require('./helpers/cookie-consent.helpers');
+
+const OVERLAY = '[data-testid="cookie-undeclared-overlay"]';
+
+test.describe('Undeclared Cookie Detector', () => {
+    test.skip(!process.env.TEST_DEVELOPER_MODE, 'Developer mode not configured - skipping');
+
+    test.beforeEach(async ({ context }) => {
+        await context.clearCookies();
+    });
+
+    test('undeclared cookie is reported with consented categories', async ({ page }) => {
+        const warnings = [];
+        page.on('console', message => {
+            if (message.type() === 'warning') {
+                warnings.push(message.text());
+            }
+        });
+
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+        await clickAcceptAll(page);
+
+        await page.evaluate(() => {
+            document.cookie = 'playwright_undeclared=1; path=/';
+        });
+
+        const overlay = page.locator(OVERLAY);
+        await expect(overlay).toContainText('playwright_undeclared', { timeout: 10000 });
+        await expect(overlay).toContainText('marketing');
+        expect(warnings.some(text => text.includes('Undeclared'))).toBe(true);
+    });
+
+    test('undeclared localStorage key is reported', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+
+        await page.evaluate(() => window.localStorage.setItem('playwright_undeclared_key', '1'));
+
+        await expect(page.locator(OVERLAY)).toContainText('playwright_undeclared_key', { timeout: 10000 });
+    });
+
+    test('declared consent cookie is not reported', async ({ page }) => {
+        await page.goto('/', { waitUntil: 'networkidle' });
+        await waitForPageReady(page);
+        await clickAcceptAll(page);
+
+        await page.evaluate(() => {
+            document.cookie = 'playwright_undeclared=1; path=/';
+        });
+        await expect(page.locator(OVERLAY)).toContainText('playwright_undeclared', { timeout: 10000 });
+
+        await expect(page.locator(OVERLAY)).not.toContainText('hyva_cookie_consent (cookie');
+    });
+});
@@ -45,4 +45,32 @@ interface CategoryInterface
      * @return int
      */
     public function getSortOrder(): int;
+
+    /**
+     * Get IAB TCF purpose IDs signalled as consented when this category is granted
+     *
+     * @return array<int, int>
+     */
+    public function getTcfPurposes(): array;
+
+    /**
+     * Get IAB TCF special feature IDs signalled as opted in when this category is granted
+     *
+     * @return array<int, int>
+     */
+    public function getTcfSpecialFeatures(): array;
+
+    /**
+     * Get Google Consent Mode signals (e.g., ad_storage) granted when this category is granted
+     *
+     * @return array<int, string>
+     */
+    public function getConsentModeSignals(): array;
+
+    /**
+     * Get months after which consent for this category must be renewed (0 = global setting)
+     *
+     * @return int
+     */
+    public function getConsentMaxAge(): int;
 }
@@ -0,0 +1,151 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Api\Data;
+
+/**
+ * Interface for a consent receipt
+ *
+ * A receipt records one consent decision of a visitor for GDPR accountability
+ */
+interface ConsentReceiptInterface
+{
+    public const ENTITY_ID = 'entity_id';
+    public const CONSENT_ID = 'consent_id';
+    public const STORE_ID = 'store_id';
+    public const CONSENT_VERSION = 'consent_version';
+    public const CATEGORIES = 'categories';
+    public const SERVICES = 'services';
+    public const BANNER_HASH = 'banner_hash';
+    public const PRIVACY_SIGNAL = 'privacy_signal';
+    public const CONSENTED_AT = 'consented_at';
+    public const CREATED_AT = 'created_at';
+
+    /**
+     * Get consent ID shared by all decisions of a visitor
+     *
+     * @return string
+     */
+    public function getConsentId(): string;
+
+    /**
+     * Set consent ID
+     *
+     * @param string $consentId
+     * @return $this
+     */
+    public function setConsentId(string $consentId): self;
+
+    /**
+     * Get store ID the decision was made in
+     *
+     * @return int
+     */
+    public function getStoreId(): int;
+
+    /**
+     * Set store ID
+     *
+     * @param int $storeId
+     * @return $this
+     */
+    public function setStoreId(int $storeId): self;
+
+    /**
+     * Get consent version the decision was made for
+     *
+     * @return int
+     */
+    public function getConsentVersion(): int;
+
+    /**
+     * Set consent version
+     *
+     * @param int $version
+     * @return $this
+     */
+    public function setConsentVersion(int $version): self;
+
+    /**
+     * Get consent flags by category code
+     *
+     * @return array<string, bool>
+     */
+    public function getCategories(): array;
+
+    /**
+     * Set consent flags by category code
+     *
+     * @param array<string, bool> $categories
+     * @return $this
+     */
+    public function setCategories(array $categories): self;
+
+    /**
+     * Get consent flags by service code
+     *
+     * @return array<string, bool>
+     */
+    public function getServices(): array;
+
+    /**
+     * Set consent flags by service code
+     *
+     * @param array<string, bool> $services
+     * @return $this
+     */
+    public function setServices(array $services): self;
+
+    /**
+     * Get SHA-256 hash of the banner texts shown to the visitor
+     *
+     * @return string
+     */
+    public function getBannerHash(): string;
+
+    /**
+     * Set banner text hash
+     *
+     * @param string $bannerHash
+     * @return $this
+     */
+    public function setBannerHash(string $bannerHash): self;
+
+    /**
+     * Get browser privacy signals honored for the decision
+     *
+     * @return array<int, string> Signal codes ('gpc', 'dnt')
+     */
+    public function getPrivacySignals(): array;
+
+    /**
+     * Set honored browser privacy signals
+     *
+     * @param array<int, string> $signals Signal codes ('gpc', 'dnt')
+     * @return $this
+     */
+    public function setPrivacySignals(array $signals): self;
+
+    /**
+     * Get decision time as reported by the visitor's browser (UTC, Y-m-d H:i:s)
+     *
+     * @return string
+     */
+    public function getConsentedAt(): string;
+
+    /**
+     * Set decision time (UTC, Y-m-d H:i:s)
+     *
+     * @param string $consentedAt
+     * @return $this
+     */
+    public function setConsentedAt(string $consentedAt): self;
+
+    /**
+     * Get time the receipt was received by the server (UTC, Y-m-d H:i:s)
+     *
+     * @return string|null
+     */
+    public function getCreatedAt(): ?string;
+}
@@ -82,6 +82,23 @@ interface ServiceInterface
      */
     public function getCookies(): array;
 
+    /**
+     * Get Web Storage and IndexedDB entries (name, type, duration, description) of this service
+     *
+     * @return array<string, array<string, string>>
+     */
+    public function getStorage(): array;
+
+    /**
+     * Get hosts the service loads scripts, iframes or pixels from
+     *
+     * An empty path matches every URL of the host (and its subdomains). "allow" lists path
+     * prefixes let through before consent while the service runs in the given consent_mode.
+     *
+     * @return array<int, array{name: string, path: string, allow: array<int, array{consent_mode: string, path: string}>}>
+     */
+    public function getDomains(): array;
+
     /**
      * Get loading method (direct, gtm, or disabled)
      *
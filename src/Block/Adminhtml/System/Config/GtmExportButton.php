@@ -0,0 +1,44 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Block\Adminhtml\System\Config;
+
+use Magento\Backend\Block\Widget\Button;
+use Magento\Config\Block\System\Config\Form\Field;
+use Magento\Framework\Data\Form\Element\AbstractElement;
+
+/**
+ * Config field rendering a button that downloads the GTM container import file
+ */
+class GtmExportButton extends Field
+{
+    /**
+     * Render without scope switcher and "Use Default" checkbox, the button has no value
+     *
+     * @param AbstractElement $element Form element
+     * @return string
+     */
+    public function render(AbstractElement $element): string
+    {
+        $element->unsScope()->unsCanUseWebsiteValue()->unsCanUseDefaultValue();
+
+        return parent::render($element);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    protected function _getElementHtml(AbstractElement $element): string
+    {
+        $url = $this->getUrl('hyva_cookie_consent/gtm/export');
+
+        return $this->getLayout()->createBlock(Button::class)
+            ->setData([
+                'id' => $element->getHtmlId(),
+                'label' => __('Download GTM Import File'),
+                'onclick' => sprintf("setLocation('%s')", $this->escapeJs($url)),
+            ])
+            ->toHtml();
+    }
+}
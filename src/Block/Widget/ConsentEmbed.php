@@ -0,0 +1,86 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Block\Widget;
+
+use Magento\Framework\View\Element\Template;
+use Magento\Widget\Block\BlockInterface;
+
+/**
+ * CMS widget rendering a consent-blocked iframe embed (YouTube, Google Maps, Instagram, ...)
+ *
+ * The iframe is rendered without src; the consent engine loads it once its category
+ * is consented and shows a click-to-load placeholder until then.
+ */
+class ConsentEmbed extends Template implements BlockInterface
+{
+    /**
+     * @var string
+     */
+    protected $_template = 'Pixelperfect_HyvaCookieConsent::widget/consent-embed.phtml';
+
+    /**
+     * Get embed URL (only absolute http(s) URLs are accepted)
+     *
+     * @return string
+     */
+    public function getEmbedUrl(): string
+    {
+        $url = trim((string) $this->getData('src'));
+
+        return preg_match('#^https?://#i', $url) ? $url : '';
+    }
+
+    /**
+     * Get consent category of the embed
+     *
+     * @return string
+     */
+    public function getConsentCategory(): string
+    {
+        return (string) ($this->getData('category') ?: 'marketing');
+    }
+
+    /**
+     * Get optional service code of the embed
+     *
+     * @return string
+     */
+    public function getConsentService(): string
+    {
+        return trim((string) $this->getData('service'));
+    }
+
+    /**
+     * Get provider name shown in the placeholder
+     *
+     * @return string
+     */
+    public function getProvider(): string
+    {
+        return trim((string) $this->getData('provider'));
+    }
+
+    /**
+     * Get accessible iframe title
+     *
+     * @return string
+     */
+    public function getEmbedTitle(): string
+    {
+        return trim((string) $this->getData('title')) ?: $this->getProvider();
+    }
+
+    /**
+     * Get aspect ratio CSS value (e.g. "16 / 9")
+     *
+     * @return string
+     */
+    public function getAspectRatio(): string
+    {
+        $ratio = (string) $this->getData('aspect_ratio');
+
+        return preg_match('/^(\d+):(\d+)$/', $ratio, $matches) ? $matches[1] . ' / ' . $matches[2] : '16 / 9';
+    }
+}
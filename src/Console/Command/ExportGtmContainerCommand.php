@@ -0,0 +1,62 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Console\Command;
+
+use Magento\Framework\Console\Cli;
+use Magento\Framework\Serialize\Serializer\Json;
+use Pixelperfect\HyvaCookieConsent\Model\Gtm\ContainerExport;
+use Symfony\Component\Console\Command\Command;
+use Symfony\Component\Console\Input\InputInterface;
+use Symfony\Component\Console\Input\InputOption;
+use Symfony\Component\Console\Output\OutputInterface;
+
+/**
+ * Writes a GTM container import file with consent variables and triggers to stdout
+ *
+ * Usage: bin/magento hyva-cookie-consent:gtm:export > gtm-consent-container.json
+ */
+class ExportGtmContainerCommand extends Command
+{
+    private const OPTION_CONTAINER_ID = 'container-id';
+
+    /**
+     * @param ContainerExport $containerExport GTM container import generator
+     * @param Json $jsonSerializer JSON serializer
+     */
+    public function __construct(
+        private readonly ContainerExport $containerExport,
+        private readonly Json $jsonSerializer
+    ) {
+        parent::__construct();
+    }
+
+    /**
+     * @inheritDoc
+     */
+    protected function configure(): void
+    {
+        $this->setName('hyva-cookie-consent:gtm:export')
+            ->setDescription('Generate a GTM container import JSON with consent variables and triggers')
+            ->addOption(
+                self::OPTION_CONTAINER_ID,
+                'c',
+                InputOption::VALUE_REQUIRED,
+                'GTM container ID (defaults to the configured Google Tag Manager container)'
+            );
+    }
+
+    /**
+     * @inheritDoc
+     */
+    protected function execute(InputInterface $input, OutputInterface $output): int
+    {
+        $containerId = $input->getOption(self::OPTION_CONTAINER_ID);
+        $container = $this->containerExport->generate($containerId !== null ? (string) $containerId : null);
+
+        $output->writeln((string) $this->jsonSerializer->serialize($container));
+
+        return Cli::RETURN_SUCCESS;
+    }
+}
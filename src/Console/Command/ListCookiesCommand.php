@@ -0,0 +1,108 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Console\Command;
+
+use Magento\Framework\Console\Cli;
+use Magento\Framework\Exception\NoSuchEntityException;
+use Magento\Framework\Serialize\Serializer\Json;
+use Magento\Store\Model\StoreManagerInterface;
+use Pixelperfect\HyvaCookieConsent\Model\ServicePool;
+use Symfony\Component\Console\Command\Command;
+use Symfony\Component\Console\Helper\Table;
+use Symfony\Component\Console\Input\InputInterface;
+use Symfony\Component\Console\Input\InputOption;
+use Symfony\Component\Console\Output\OutputInterface;
+
+/**
+ * Lists cookies and storage entries declared by enabled services, grouped by category
+ *
+ * Services are enabled per store view; --store selects it (default: the default store view).
+ * The JSON format is consumed by the Playwright cookie scanner (Test/Playwright/scripts/scan-cookies.js).
+ */
+class ListCookiesCommand extends Command
+{
+    private const OPTION_FORMAT = 'format';
+    private const OPTION_STORE = 'store';
+
+    /**
+     * @param ServicePool $servicePool Pool of tracking services
+     * @param Json $jsonSerializer JSON serializer
+     * @param StoreManagerInterface $storeManager Store manager
+     */
+    public function __construct(
+        private readonly ServicePool $servicePool,
+        private readonly Json $jsonSerializer,
+        private readonly StoreManagerInterface $storeManager
+    ) {
+        parent::__construct();
+    }
+
+    /**
+     * @inheritDoc
+     */
+    protected function configure(): void
+    {
+        $this->setName('hyva-cookie-consent:cookies:list')
+            ->setDescription('List cookies and storage entries declared in cookie_consent.xml by enabled services')
+            ->addOption(self::OPTION_FORMAT, 'f', InputOption::VALUE_REQUIRED, 'Output format (table or json)', 'table')
+            ->addOption(
+                self::OPTION_STORE,
+                's',
+                InputOption::VALUE_REQUIRED,
+                'Store view code or ID whose enabled services are listed (defaults to the default store view)'
+            );
+    }
+
+    /**
+     * @inheritDoc
+     */
+    protected function execute(InputInterface $input, OutputInterface $output): int
+    {
+        $store = $input->getOption(self::OPTION_STORE);
+        if ($store !== null) {
+            try {
+                // Service enabled flags are read from the current store scope
+                $this->storeManager->setCurrentStore($this->storeManager->getStore($store)->getCode());
+            } catch (NoSuchEntityException $e) {
+                $output->writeln('<error>' . sprintf('Store "%s" does not exist.', $store) . '</error>');
+                return Cli::RETURN_FAILURE;
+            }
+        }
+
+        $cookiesByCategory = $this->servicePool->getAllCookiesByCategory();
+        $storageByCategory = $this->servicePool->getAllStorageByCategory();
+
+        $result = [];
+        foreach (array_unique(array_merge(array_keys($cookiesByCategory), array_keys($storageByCategory))) as $category) {
+            $cookies = array_map(
+                static fn(array $cookie) => $cookie + ['type' => 'cookie'],
+                array_values($cookiesByCategory[$category] ?? [])
+            );
+            $result[$category] = array_merge($cookies, array_values($storageByCategory[$category] ?? []));
+        }
+
+        if ($input->getOption(self::OPTION_FORMAT) === 'json') {
+            $output->writeln((string) $this->jsonSerializer->serialize((object) $result));
+            return Cli::RETURN_SUCCESS;
+        }
+
+        $table = new Table($output);
+        $table->setHeaders(['Category', 'Name', 'Type', 'Duration', 'Description']);
+        foreach ($result as $category => $items) {
+            foreach ($items as $item) {
+                $table->addRow([
+                    $category,
+                    $item['name'] ?? '',
+                    $item['type'] ?? '',
+                    $item['duration'] ?? '',
+                    $item['description'] ?? '',
+                ]);
+            }
+        }
+        $table->render();
+
+        return Cli::RETURN_SUCCESS;
+    }
+}
@@ -0,0 +1,54 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Controller\Adminhtml\Gtm;
+
+use Magento\Backend\App\Action;
+use Magento\Backend\App\Action\Context;
+use Magento\Framework\App\Action\HttpGetActionInterface;
+use Magento\Framework\App\Filesystem\DirectoryList;
+use Magento\Framework\App\Response\Http\FileFactory;
+use Magento\Framework\App\ResponseInterface;
+use Magento\Framework\Serialize\Serializer\Json;
+use Pixelperfect\HyvaCookieConsent\Model\Gtm\ContainerExport;
+
+/**
+ * Download the GTM container import file with consent variables and triggers
+ */
+class Export extends Action implements HttpGetActionInterface
+{
+    public const ADMIN_RESOURCE = 'Pixelperfect_HyvaCookieConsent::config';
+
+    private const FILE_NAME = 'gtm-consent-container.json';
+
+    /**
+     * @param Context $context Backend action context
+     * @param FileFactory $fileFactory Download response factory
+     * @param ContainerExport $containerExport GTM container import generator
+     * @param Json $jsonSerializer JSON serializer
+     */
+    public function __construct(
+        Context $context,
+        private readonly FileFactory $fileFactory,
+        private readonly ContainerExport $containerExport,
+        private readonly Json $jsonSerializer
+    ) {
+        parent::__construct($context);
+    }
+
+    /**
+     * Send the container import file as download
+     *
+     * @return ResponseInterface
+     */
+    public function execute(): ResponseInterface
+    {
+        return $this->fileFactory->create(
+            self::FILE_NAME,
+            (string) $this->jsonSerializer->serialize($this->containerExport->generate()),
+            DirectoryList::VAR_DIR,
+            'application/json'
+        );
+    }
+}
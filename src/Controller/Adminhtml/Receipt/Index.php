@@ -0,0 +1,44 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Controller\Adminhtml\Receipt;
+
+use Magento\Backend\App\Action;
+use Magento\Backend\App\Action\Context;
+use Magento\Framework\App\Action\HttpGetActionInterface;
+use Magento\Framework\View\Result\Page;
+use Magento\Framework\View\Result\PageFactory;
+
+/**
+ * Consent receipt grid
+ */
+class Index extends Action implements HttpGetActionInterface
+{
+    public const ADMIN_RESOURCE = 'Pixelperfect_HyvaCookieConsent::consent_receipts';
+
+    /**
+     * @param Context $context Backend action context
+     * @param PageFactory $resultPageFactory Page result factory
+     */
+    public function __construct(
+        Context $context,
+        private readonly PageFactory $resultPageFactory
+    ) {
+        parent::__construct($context);
+    }
+
+    /**
+     * Render the grid page
+     *
+     * @return Page
+     */
+    public function execute(): Page
+    {
+        $resultPage = $this->resultPageFactory->create();
+        $resultPage->setActiveMenu(self::ADMIN_RESOURCE);
+        $resultPage->getConfig()->getTitle()->prepend(__('Cookie Consent Receipts'));
+
+        return $resultPage;
+    }
+}
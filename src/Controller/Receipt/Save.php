@@ -0,0 +1,99 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Controller\Receipt;
+
+use Magento\Framework\App\Action\HttpPostActionInterface;
+use Magento\Framework\App\RequestInterface;
+use Magento\Framework\Controller\Result\Json as JsonResult;
+use Magento\Framework\Controller\Result\JsonFactory;
+use Magento\Framework\Exception\AlreadyExistsException;
+use Magento\Framework\Exception\LocalizedException;
+use Magento\Framework\Exception\SecurityViolationException;
+use Magento\Framework\Serialize\Serializer\Json;
+use Magento\Store\Model\StoreManagerInterface;
+use Pixelperfect\HyvaCookieConsent\Model\ConsentReceiptLogger;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Receives consent receipts posted by the banner after each decision
+ *
+ * Requests are protected by Magento's form key validation. Repeated receipts of a decision
+ * and too many receipts per consent ID are rejected by the logger.
+ */
+class Save implements HttpPostActionInterface
+{
+    /**
+     * @param RequestInterface $request Current request
+     * @param JsonFactory $resultJsonFactory JSON result factory
+     * @param Json $jsonSerializer JSON serializer
+     * @param StoreManagerInterface $storeManager Store manager
+     * @param ConsentReceiptLogger $consentReceiptLogger Receipt persistence
+     * @param LoggerInterface $logger System logger
+     */
+    public function __construct(
+        private readonly RequestInterface $request,
+        private readonly JsonFactory $resultJsonFactory,
+        private readonly Json $jsonSerializer,
+        private readonly StoreManagerInterface $storeManager,
+        private readonly ConsentReceiptLogger $consentReceiptLogger,
+        private readonly LoggerInterface $logger
+    ) {
+    }
+
+    /**
+     * Save the posted receipt
+     *
+     * @return JsonResult
+     */
+    public function execute(): JsonResult
+    {
+        $result = $this->resultJsonFactory->create();
+        $storeId = (int) $this->storeManager->getStore()->getId();
+
+        if (!$this->consentReceiptLogger->isEnabled($storeId)) {
+            return $result->setHttpResponseCode(404)->setData(['success' => false]);
+        }
+
+        try {
+            $this->consentReceiptLogger->log([
+                'consent_id' => (string) $this->request->getParam('consent_id'),
+                'version' => (int) $this->request->getParam('version'),
+                'categories' => $this->decodeFlags((string) $this->request->getParam('categories')),
+                'services' => $this->decodeFlags((string) $this->request->getParam('services', '{}')),
+                'privacy_signals' => array_filter(explode(',', (string) $this->request->getParam('privacy_signal'))),
+                'timestamp' => (int) $this->request->getParam('timestamp'),
+                'banner_hash' => (string) $this->request->getParam('banner_hash'),
+            ], $storeId);
+        } catch (\InvalidArgumentException $e) {
+            return $result->setHttpResponseCode(400)->setData(['success' => false]);
+        } catch (AlreadyExistsException $e) {
+            return $result->setHttpResponseCode(409)->setData(['success' => false]);
+        } catch (SecurityViolationException $e) {
+            return $result->setHttpResponseCode(429)->setData(['success' => false]);
+        } catch (LocalizedException $e) {
+            $this->logger->error('Cookie consent receipt could not be saved: ' . $e->getMessage());
+            return $result->setHttpResponseCode(500)->setData(['success' => false]);
+        }
+
+        return $result->setData(['success' => true]);
+    }
+
+    /**
+     * Decode a JSON object of consent flags
+     *
+     * @param string $json
+     * @return array<string, mixed>
+     * @throws \InvalidArgumentException If the value is not a JSON object
+     */
+    private function decodeFlags(string $json): array
+    {
+        $decoded = $this->jsonSerializer->unserialize($json);
+        if (!is_array($decoded)) {
+            throw new \InvalidArgumentException('Consent flags must be a JSON object.');
+        }
+
+        return $decoded;
+    }
+}
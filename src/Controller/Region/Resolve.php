@@ -0,0 +1,47 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Controller\Region;
+
+use Magento\Framework\App\Action\HttpGetActionInterface;
+use Magento\Framework\Controller\Result\Json as JsonResult;
+use Magento\Framework\Controller\Result\JsonFactory;
+use Pixelperfect\HyvaCookieConsent\Model\Region\RegionResolver;
+
+/**
+ * Echoes the visitor's country to the banner
+ *
+ * Pages are served from the Full Page Cache, so the region is resolved client-side:
+ * the banner asks this uncached endpoint once and remembers the answer in a cookie.
+ */
+class Resolve implements HttpGetActionInterface
+{
+    /**
+     * @param JsonFactory $resultJsonFactory JSON result factory
+     * @param RegionResolver $regionResolver Visitor country resolver
+     */
+    public function __construct(
+        private readonly JsonFactory $resultJsonFactory,
+        private readonly RegionResolver $regionResolver
+    ) {
+    }
+
+    /**
+     * Return the resolved country code
+     *
+     * @return JsonResult
+     */
+    public function execute(): JsonResult
+    {
+        $result = $this->resultJsonFactory->create();
+        // The answer differs per visitor and must never be cached by a CDN or proxy
+        $result->setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, max-age=0', true);
+
+        if (!$this->regionResolver->isEnabled()) {
+            return $result->setHttpResponseCode(404)->setData(['country' => '']);
+        }
+
+        return $result->setData(['country' => $this->regionResolver->resolveCountry()]);
+    }
+}
@@ -19,13 +19,21 @@ class Category implements CategoryInterface
      * @param string $description Category description (translatable)
      * @param bool $required Whether consent is required (necessary cookies)
      * @param int $sortOrder Display order
+     * @param array<int, int> $tcfPurposes IAB TCF purpose IDs covered by this category
+     * @param array<int, int> $tcfSpecialFeatures IAB TCF special feature IDs covered by this category
+     * @param array<int, string> $consentModeSignals Google Consent Mode signals covered by this category
+     * @param int $consentMaxAge Months until consent must be renewed (0 = global setting)
      */
     public function __construct(
         private readonly string $code,
         private readonly string $title,
         private readonly string $description,
         private readonly bool $required = false,
-        private readonly int $sortOrder = 0
+        private readonly int $sortOrder = 0,
+        private readonly array $tcfPurposes = [],
+        private readonly array $tcfSpecialFeatures = [],
+        private readonly array $consentModeSignals = [],
+        private readonly int $consentMaxAge = 0
     ) {
     }
 
@@ -68,4 +76,36 @@ class Category implements CategoryInterface
     {
         return $this->sortOrder;
     }
+
+    /**
+     * @inheritDoc
+     */
+    public function getTcfPurposes(): array
+    {
+        return $this->tcfPurposes;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function getTcfSpecialFeatures(): array
+    {
+        return $this->tcfSpecialFeatures;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function getConsentModeSignals(): array
+    {
+        return $this->consentModeSignals;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function getConsentMaxAge(): int
+    {
+        return $this->consentMaxAge;
+    }
 }
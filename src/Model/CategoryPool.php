@@ -50,7 +50,11 @@ class CategoryPool
                 'title' => $data['title'] ?? '',
                 'description' => $data['description'] ?? '',
                 'required' => (bool) ($data['required'] ?? false),
-                'sortOrder' => (int) ($data['sort_order'] ?? 0)
+                'sortOrder' => (int) ($data['sort_order'] ?? 0),
+                'tcfPurposes' => $data['tcf_purposes'] ?? [],
+                'tcfSpecialFeatures' => $data['tcf_special_features'] ?? [],
+                'consentModeSignals' => $data['consent_mode_signals'] ?? [],
+                'consentMaxAge' => (int) ($data['consent_max_age'] ?? 0)
             ]);
         }
     }
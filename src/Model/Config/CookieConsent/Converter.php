@@ -68,9 +68,37 @@ class Converter implements ConverterInterface
             'description' => $this->getChildNodeValue($node, 'description'),
             'required' => $this->getBoolAttribute($node, 'required', false),
             'sort_order' => (int) ($node->getAttribute('sort_order') ?: 100),
+            'tcf_purposes' => $this->getChildNodeIdList($node, 'tcf_purposes'),
+            'tcf_special_features' => $this->getChildNodeIdList($node, 'tcf_special_features'),
+            'consent_mode_signals' => $this->convertConsentModeSignals($node),
+            'consent_max_age' => (int) $this->getChildNodeValue($node, 'consent_max_age'),
         ];
     }
 
+    /**
+     * Convert consent_mode_signals child nodes to list of signal names
+     *
+     * @param DOMElement $categoryNode Category DOM element
+     * @return array<int, string>
+     */
+    private function convertConsentModeSignals(DOMElement $categoryNode): array
+    {
+        $signals = [];
+        $signalsNode = $this->getChildElement($categoryNode, 'consent_mode_signals');
+
+        if ($signalsNode === null) {
+            return $signals;
+        }
+
+        foreach ($signalsNode->childNodes as $signalNode) {
+            if ($signalNode instanceof DOMElement && $signalNode->nodeName === 'signal') {
+                $signals[] = $signalNode->getAttribute('name');
+            }
+        }
+
+        return array_values(array_unique($signals));
+    }
+
     /**
      * Convert service node to array
      *
@@ -90,6 +118,8 @@ class Converter implements ConverterInterface
             'managed_by' => $this->getChildNodeValue($node, 'managed_by'),
             'config_fields' => $this->convertConfigFields($node),
             'cookies' => $this->convertCookies($node),
+            'storage' => $this->convertStorage($node),
+            'domains' => $this->convertDomains($node),
         ];
 
         return $serviceData;
@@ -153,6 +183,92 @@ class Converter implements ConverterInterface
         return $cookies;
     }
 
+    /**
+     * Convert storage child nodes to array keyed by type and name
+     *
+     * @param DOMElement $serviceNode Service DOM element
+     * @return array<string, array<string, string>>
+     */
+    private function convertStorage(DOMElement $serviceNode): array
+    {
+        $storage = [];
+        $storageNode = $this->getChildElement($serviceNode, 'storage');
+
+        if ($storageNode === null) {
+            return $storage;
+        }
+
+        foreach ($storageNode->childNodes as $itemNode) {
+            if ($itemNode instanceof DOMElement && $itemNode->nodeName === 'item') {
+                $name = $itemNode->getAttribute('name');
+                $type = $itemNode->getAttribute('type');
+                $storage[$type . ':' . $name] = [
+                    'name' => $name,
+                    'type' => $type,
+                    'duration' => $itemNode->getAttribute('duration'),
+                    'description' => $this->getChildNodeValue($itemNode, 'description'),
+                ];
+            }
+        }
+
+        return $storage;
+    }
+
+    /**
+     * Convert domains child nodes to list of hosts with an optional path prefix
+     *
+     * @param DOMElement $serviceNode Service DOM element
+     * @return array<int, array{name: string, path: string, allow: array<int, array{consent_mode: string, path: string}>}>
+     */
+    private function convertDomains(DOMElement $serviceNode): array
+    {
+        $domains = [];
+        $domainsNode = $this->getChildElement($serviceNode, 'domains');
+
+        if ($domainsNode === null) {
+            return [];
+        }
+
+        foreach ($domainsNode->childNodes as $domainNode) {
+            if ($domainNode instanceof DOMElement && $domainNode->nodeName === 'domain') {
+                $name = strtolower(trim($domainNode->getAttribute('name')));
+                $path = trim($domainNode->getAttribute('path'));
+                if ($name !== '') {
+                    $domains[$name . $path] = [
+                        'name' => $name,
+                        'path' => $path,
+                        'allow' => $this->convertDomainAllowances($domainNode),
+                    ];
+                }
+            }
+        }
+
+        return array_values($domains);
+    }
+
+    /**
+     * Convert allow child nodes of a domain to path prefixes let through in a vendor consent mode
+     *
+     * @param DOMElement $domainNode Domain DOM element
+     * @return array<int, array{consent_mode: string, path: string}>
+     */
+    private function convertDomainAllowances(DOMElement $domainNode): array
+    {
+        $allowances = [];
+
+        foreach ($domainNode->childNodes as $allowNode) {
+            if ($allowNode instanceof DOMElement && $allowNode->nodeName === 'allow') {
+                $consentMode = trim($allowNode->getAttribute('consent_mode'));
+                $path = trim($allowNode->getAttribute('path'));
+                if ($consentMode !== '' && $path !== '') {
+                    $allowances[] = ['consent_mode' => $consentMode, 'path' => $path];
+                }
+            }
+        }
+
+        return $allowances;
+    }
+
     /**
      * Get text value of a child element
      *
@@ -183,6 +299,24 @@ class Converter implements ConverterInterface
         return in_array(strtolower($value), ['true', '1', 'yes'], true);
     }
 
+    /**
+     * Get comma-separated numeric IDs of a child element
+     *
+     * @param DOMElement $parent Parent element
+     * @param string $childName Child element name
+     * @return array<int, int>
+     */
+    private function getChildNodeIdList(DOMElement $parent, string $childName): array
+    {
+        $value = $this->getChildNodeValue($parent, $childName);
+        if ($value === null) {
+            return [];
+        }
+
+        $ids = array_map('intval', array_filter(array_map('trim', explode(',', $value)), 'strlen'));
+        return array_values(array_unique($ids));
+    }
+
     /**
      * Get child element by name
      *
@@ -16,13 +16,19 @@ class Reader extends Filesystem
     /**
      * List of id attributes for merging
      *
-     * @var array<string, string>
+     * Storage items are identified by type and name, domain allowances by consent mode and path.
+     *
+     * @var array<string, string|array<int, string>>
      */
     protected $_idAttributes = [
         '/cookie_consent/categories/category' => 'code',
+        '/cookie_consent/categories/category/consent_mode_signals/signal' => 'name',
         '/cookie_consent/services/service' => 'code',
         '/cookie_consent/services/service/config_fields/field' => 'code',
         '/cookie_consent/services/service/cookies/cookie' => 'name',
+        '/cookie_consent/services/service/storage/item' => ['type', 'name'],
+        '/cookie_consent/services/service/domains/domain' => 'name',
+        '/cookie_consent/services/service/domains/domain/allow' => ['consent_mode', 'path'],
     ];
 
     /**
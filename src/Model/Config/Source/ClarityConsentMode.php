@@ -0,0 +1,32 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model\Config\Source;
+
+use Magento\Framework\Data\OptionSourceInterface;
+use Pixelperfect\HyvaCookieConsent\Model\Service;
+
+/**
+ * Microsoft Clarity consent mode options
+ *
+ * - block: Clarity is loaded once analytics consent is given
+ * - cookieless: Clarity loads without cookies and is switched via its consent API
+ */
+class ClarityConsentMode implements OptionSourceInterface
+{
+    public const MODE_COOKIELESS = 'cookieless';
+
+    /**
+     * Get Clarity consent mode options
+     *
+     * @return array<int, array<string, string>>
+     */
+    public function toOptionArray(): array
+    {
+        return [
+            ['value' => Service::CONSENT_MODE_BLOCK, 'label' => __('Block until consent')],
+            ['value' => self::MODE_COOKIELESS, 'label' => __('Cookieless until consent (Clarity consent API)')]
+        ];
+    }
+}
@@ -0,0 +1,31 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model\Config\Source;
+
+use Magento\Framework\Data\OptionSourceInterface;
+
+/**
+ * Consent regime options for visitor regions
+ */
+class ConsentRegime implements OptionSourceInterface
+{
+    public const OPT_IN = 'opt_in';
+    public const OPT_OUT = 'opt_out';
+    public const NOTICE_ONLY = 'notice_only';
+
+    /**
+     * Get regime options
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    public function toOptionArray(): array
+    {
+        return [
+            ['value' => self::OPT_IN, 'label' => __('Opt-in (nothing before consent)')],
+            ['value' => self::OPT_OUT, 'label' => __('Opt-out (pre-granted until rejected)')],
+            ['value' => self::NOTICE_ONLY, 'label' => __('Notice only (all granted)')]
+        ];
+    }
+}
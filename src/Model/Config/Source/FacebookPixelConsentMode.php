@@ -0,0 +1,32 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model\Config\Source;
+
+use Magento\Framework\Data\OptionSourceInterface;
+use Pixelperfect\HyvaCookieConsent\Model\Service;
+
+/**
+ * Facebook Pixel consent mode options
+ *
+ * - block: the pixel is loaded once marketing consent is given
+ * - grant_revoke: fbq is defined early with consent revoked and granted via fbq('consent', 'grant')
+ */
+class FacebookPixelConsentMode implements OptionSourceInterface
+{
+    public const MODE_GRANT_REVOKE = 'grant_revoke';
+
+    /**
+     * Get Facebook Pixel consent mode options
+     *
+     * @return array<int, array<string, string>>
+     */
+    public function toOptionArray(): array
+    {
+        return [
+            ['value' => Service::CONSENT_MODE_BLOCK, 'label' => __('Block until consent')],
+            ['value' => self::MODE_GRANT_REVOKE, 'label' => __('Queue events until consent (fbq grant/revoke)')]
+        ];
+    }
+}
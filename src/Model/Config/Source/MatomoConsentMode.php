@@ -0,0 +1,32 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model\Config\Source;
+
+use Magento\Framework\Data\OptionSourceInterface;
+use Pixelperfect\HyvaCookieConsent\Model\Service;
+
+/**
+ * Matomo consent mode options
+ *
+ * - block: Matomo is loaded once analytics consent is given
+ * - cookieless: Matomo always tracks, cookies are only used after consent (requireCookieConsent)
+ */
+class MatomoConsentMode implements OptionSourceInterface
+{
+    public const MODE_COOKIELESS = 'cookieless';
+
+    /**
+     * Get Matomo consent mode options
+     *
+     * @return array<int, array<string, string>>
+     */
+    public function toOptionArray(): array
+    {
+        return [
+            ['value' => Service::CONSENT_MODE_BLOCK, 'label' => __('Block until consent')],
+            ['value' => self::MODE_COOKIELESS, 'label' => __('Cookieless until consent (requireCookieConsent)')]
+        ];
+    }
+}
@@ -0,0 +1,32 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model\Config\Source;
+
+use Magento\Framework\Data\OptionSourceInterface;
+use Pixelperfect\HyvaCookieConsent\Model\Service;
+
+/**
+ * Microsoft Advertising UET consent mode options
+ *
+ * - block: UET is loaded once marketing consent is given
+ * - consent_mode: UET loads with ad_storage denied and is updated via UET consent mode
+ */
+class MicrosoftUetConsentMode implements OptionSourceInterface
+{
+    public const MODE_CONSENT_MODE = 'consent_mode';
+
+    /**
+     * Get UET consent mode options
+     *
+     * @return array<int, array<string, string>>
+     */
+    public function toOptionArray(): array
+    {
+        return [
+            ['value' => Service::CONSENT_MODE_BLOCK, 'label' => __('Block until consent')],
+            ['value' => self::MODE_CONSENT_MODE, 'label' => __('Ad storage denied until consent (UET consent mode)')]
+        ];
+    }
+}
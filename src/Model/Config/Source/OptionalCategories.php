@@ -0,0 +1,37 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model\Config\Source;
+
+use Magento\Framework\Data\OptionSourceInterface;
+use Pixelperfect\HyvaCookieConsent\Model\CategoryPool;
+
+/**
+ * Optional (non-required) consent categories from cookie_consent.xml
+ */
+class OptionalCategories implements OptionSourceInterface
+{
+    /**
+     * @param CategoryPool $categoryPool Pool of consent categories
+     */
+    public function __construct(
+        private readonly CategoryPool $categoryPool
+    ) {
+    }
+
+    /**
+     * Get category options
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    public function toOptionArray(): array
+    {
+        $options = [];
+        foreach ($this->categoryPool->getOptionalCategories() as $category) {
+            $options[] = ['value' => $category->getCode(), 'label' => __($category->getTitle())];
+        }
+
+        return $options;
+    }
+}
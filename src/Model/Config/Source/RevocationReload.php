@@ -0,0 +1,26 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model\Config\Source;
+
+use Magento\Framework\Data\OptionSourceInterface;
+
+/**
+ * Page reload options after revoking services that are already running
+ */
+class RevocationReload implements OptionSourceInterface
+{
+    /**
+     * Get revocation reload options
+     *
+     * @return array<int, array<string, string>>
+     */
+    public function toOptionArray(): array
+    {
+        return [
+            ['value' => 'offer', 'label' => __('Offer (show a notice with a reload button)')],
+            ['value' => 'force', 'label' => __('Force (reload the page automatically)')]
+        ];
+    }
+}
@@ -0,0 +1,167 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model;
+
+use Magento\Framework\Model\AbstractModel;
+use Pixelperfect\HyvaCookieConsent\Api\Data\ConsentReceiptInterface;
+use Pixelperfect\HyvaCookieConsent\Model\ResourceModel\ConsentReceipt as ConsentReceiptResource;
+
+/**
+ * Consent receipt model
+ */
+class ConsentReceipt extends AbstractModel implements ConsentReceiptInterface
+{
+    /**
+     * @var string
+     */
+    protected $_eventPrefix = 'hyva_cookie_consent_receipt';
+
+    /**
+     * Initialize resource model
+     *
+     * @return void
+     */
+    protected function _construct(): void
+    {
+        $this->_init(ConsentReceiptResource::class);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function getConsentId(): string
+    {
+        return (string) $this->getData(self::CONSENT_ID);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function setConsentId(string $consentId): self
+    {
+        return $this->setData(self::CONSENT_ID, $consentId);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function getStoreId(): int
+    {
+        return (int) $this->getData(self::STORE_ID);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function setStoreId(int $storeId): self
+    {
+        return $this->setData(self::STORE_ID, $storeId);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function getConsentVersion(): int
+    {
+        return (int) $this->getData(self::CONSENT_VERSION);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function setConsentVersion(int $version): self
+    {
+        return $this->setData(self::CONSENT_VERSION, $version);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function getCategories(): array
+    {
+        return array_map('boolval', (array) $this->getData(self::CATEGORIES));
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function setCategories(array $categories): self
+    {
+        return $this->setData(self::CATEGORIES, $categories);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function getServices(): array
+    {
+        return array_map('boolval', (array) $this->getData(self::SERVICES));
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function setServices(array $services): self
+    {
+        return $this->setData(self::SERVICES, $services);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function getBannerHash(): string
+    {
+        return (string) $this->getData(self::BANNER_HASH);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function setBannerHash(string $bannerHash): self
+    {
+        return $this->setData(self::BANNER_HASH, $bannerHash);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function getPrivacySignals(): array
+    {
+        return array_values(array_filter(explode(',', (string) $this->getData(self::PRIVACY_SIGNAL))));
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function setPrivacySignals(array $signals): self
+    {
+        return $this->setData(self::PRIVACY_SIGNAL, $signals ? implode(',', $signals) : null);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function getConsentedAt(): string
+    {
+        return (string) $this->getData(self::CONSENTED_AT);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function setConsentedAt(string $consentedAt): self
+    {
+        return $this->setData(self::CONSENTED_AT, $consentedAt);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function getCreatedAt(): ?string
+    {
+        $value = $this->getData(self::CREATED_AT);
+        return $value === null ? null : (string) $value;
+    }
+}
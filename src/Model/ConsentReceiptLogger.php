@@ -0,0 +1,143 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model;
+
+use Magento\Framework\App\Config\ScopeConfigInterface;
+use Magento\Framework\Exception\AlreadyExistsException;
+use Magento\Framework\Exception\SecurityViolationException;
+use Magento\Store\Model\ScopeInterface;
+use Pixelperfect\HyvaCookieConsent\Api\Data\ConsentReceiptInterface;
+use Pixelperfect\HyvaCookieConsent\Model\ResourceModel\ConsentReceipt as ConsentReceiptResource;
+
+/**
+ * Persists consent receipts posted by the banner
+ *
+ * The posted data is untrusted: categories and services are reduced to the codes
+ * declared in cookie_consent.xml and required categories are always recorded as granted.
+ * The endpoint is public, so each decision is accepted once and receipts per consent ID are limited.
+ */
+class ConsentReceiptLogger
+{
+    private const CONFIG_PATH_ENABLED = 'web/hyva_cookie_consent/consent_log/enabled';
+    private const CONSENT_ID_PATTERN = '/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/';
+    private const BANNER_HASH_PATTERN = '/^[0-9a-f]{64}$/';
+    private const PRIVACY_SIGNALS = ['gpc', 'dnt'];
+    private const MAX_RECEIPTS_PER_HOUR = 20;
+
+    /**
+     * @param ScopeConfigInterface $scopeConfig Magento configuration reader
+     * @param ConsentReceiptFactory $consentReceiptFactory Factory for receipt models
+     * @param ConsentReceiptResource $consentReceiptResource Receipt resource model
+     * @param CategoryPool $categoryPool Pool of consent categories
+     * @param ServicePool $servicePool Pool of tracking services
+     */
+    public function __construct(
+        private readonly ScopeConfigInterface $scopeConfig,
+        private readonly ConsentReceiptFactory $consentReceiptFactory,
+        private readonly ConsentReceiptResource $consentReceiptResource,
+        private readonly CategoryPool $categoryPool,
+        private readonly ServicePool $servicePool
+    ) {
+    }
+
+    /**
+     * Check if consent receipts are logged
+     *
+     * @param int|null $storeId Store ID (null = current store)
+     * @return bool
+     */
+    public function isEnabled(?int $storeId = null): bool
+    {
+        return $this->scopeConfig->isSetFlag(self::CONFIG_PATH_ENABLED, ScopeInterface::SCOPE_STORE, $storeId);
+    }
+
+    /**
+     * Validate and save a consent receipt
+     *
+     * @param array{consent_id: string, version: int, categories: array, services: array, privacy_signals: array, timestamp: int, banner_hash: string} $receipt
+     * @param int $storeId Store the decision was made in
+     * @return ConsentReceiptInterface
+     * @throws \InvalidArgumentException If the receipt is malformed
+     * @throws AlreadyExistsException If a receipt of this decision was already saved
+     * @throws SecurityViolationException If too many receipts were posted for the consent ID
+     */
+    public function log(array $receipt, int $storeId): ConsentReceiptInterface
+    {
+        if (!preg_match(self::CONSENT_ID_PATTERN, $receipt['consent_id'])) {
+            throw new \InvalidArgumentException('Invalid consent ID.');
+        }
+        if (!preg_match(self::BANNER_HASH_PATTERN, $receipt['banner_hash'])) {
+            throw new \InvalidArgumentException('Invalid banner hash.');
+        }
+        if (array_diff($receipt['privacy_signals'], self::PRIVACY_SIGNALS)) {
+            throw new \InvalidArgumentException('Invalid privacy signal.');
+        }
+        if ($receipt['version'] < 1 || $receipt['timestamp'] <= 0) {
+            throw new \InvalidArgumentException('Invalid consent version or timestamp.');
+        }
+
+        $consentedAt = gmdate('Y-m-d H:i:s', intdiv($receipt['timestamp'], 1000));
+        if ($this->consentReceiptResource->hasReceipt($receipt['consent_id'], $consentedAt)) {
+            throw new AlreadyExistsException(__('This consent receipt was already saved.'));
+        }
+        $since = gmdate('Y-m-d H:i:s', time() - 3600);
+        if ($this->consentReceiptResource->countReceivedSince($receipt['consent_id'], $since)
+            >= self::MAX_RECEIPTS_PER_HOUR
+        ) {
+            throw new SecurityViolationException(__('Too many consent receipts for this consent ID.'));
+        }
+
+        /** @var ConsentReceipt $consentReceipt */
+        $consentReceipt = $this->consentReceiptFactory->create();
+        $consentReceipt->setConsentId($receipt['consent_id'])
+            ->setStoreId($storeId)
+            ->setConsentVersion($receipt['version'])
+            ->setCategories($this->normalizeCategories($receipt['categories']))
+            ->setServices($this->normalizeServices($receipt['services']))
+            ->setBannerHash($receipt['banner_hash'])
+            ->setPrivacySignals(array_values(array_unique($receipt['privacy_signals'])))
+            ->setConsentedAt($consentedAt);
+
+        $this->consentReceiptResource->save($consentReceipt);
+
+        return $consentReceipt;
+    }
+
+    /**
+     * Reduce posted category flags to declared categories
+     *
+     * @param array<string, mixed> $categories
+     * @return array<string, bool>
+     */
+    private function normalizeCategories(array $categories): array
+    {
+        $normalized = [];
+        foreach ($this->categoryPool->getCategories() as $category) {
+            $code = $category->getCode();
+            $normalized[$code] = $category->isRequired() || ($categories[$code] ?? false) === true;
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Reduce posted service flags to declared services
+     *
+     * @param array<string, mixed> $services
+     * @return array<string, bool>
+     */
+    private function normalizeServices(array $services): array
+    {
+        $normalized = [];
+        foreach ($this->servicePool->getAllServices() as $service) {
+            $code = $service->getCode();
+            if (array_key_exists($code, $services)) {
+                $normalized[$code] = $services[$code] === true;
+            }
+        }
+
+        return $normalized;
+    }
+}
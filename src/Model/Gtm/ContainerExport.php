@@ -0,0 +1,195 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model\Gtm;
+
+use Pixelperfect\HyvaCookieConsent\Model\CategoryPool;
+use Pixelperfect\HyvaCookieConsent\Model\ServicePool;
+
+/**
+ * Builds a GTM container import file for the consent events pushed to the dataLayer
+ *
+ * The container holds a Data Layer variable per consent_<category> and consent_service_<service>
+ * flag, custom-event triggers for consent_default, consent_update and consent_granted, and an
+ * exception trigger per optional category to block tags while that category is not consented.
+ * Import it in GTM via Admin → Import Container (merge into an existing workspace).
+ */
+class ContainerExport
+{
+    private const CONSENT_EVENTS = ['consent_default', 'consent_update', 'consent_granted'];
+    private const EXPORT_FORMAT_VERSION = 2;
+    private const VARIABLE_PREFIX = 'DLV - ';
+    private const EVENT_TRIGGER_PREFIX = 'Event - ';
+    private const EXCEPTION_TRIGGER_PREFIX = 'Block - No Consent - ';
+
+    /**
+     * @param CategoryPool $categoryPool Pool of consent categories
+     * @param ServicePool $servicePool Pool of tracking services
+     */
+    public function __construct(
+        private readonly CategoryPool $categoryPool,
+        private readonly ServicePool $servicePool
+    ) {
+    }
+
+    /**
+     * Generate the container import data
+     *
+     * @param string|null $publicId GTM container ID (GTM-XXXXXXX); defaults to the configured container
+     * @return array<string, mixed> Structure of a GTM container export (exportFormatVersion 2)
+     */
+    public function generate(?string $publicId = null): array
+    {
+        $publicId ??= (string) $this->servicePool->getService('google_tag_manager')?->getConfigValue('container_id');
+
+        $variables = [];
+        foreach ($this->getConsentKeys() as $key) {
+            $variables[] = $this->createDataLayerVariable(count($variables) + 1, $key);
+        }
+
+        $triggers = [];
+        foreach (self::CONSENT_EVENTS as $event) {
+            $triggers[] = $this->createEventTrigger(count($triggers) + 1, $event);
+        }
+        foreach ($this->categoryPool->getOptionalCategories() as $category) {
+            $triggers[] = $this->createExceptionTrigger(count($triggers) + 1, $category->getCode());
+        }
+
+        return [
+            'exportFormatVersion' => self::EXPORT_FORMAT_VERSION,
+            'exportTime' => gmdate('Y-m-d H:i:s'),
+            'containerVersion' => [
+                'path' => 'accounts/0/containers/0/versions/0',
+                'accountId' => '0',
+                'containerId' => '0',
+                'containerVersionId' => '0',
+                'container' => [
+                    'path' => 'accounts/0/containers/0',
+                    'accountId' => '0',
+                    'containerId' => '0',
+                    'name' => 'Hyvä Cookie Consent',
+                    'publicId' => $publicId,
+                    'usageContext' => ['WEB'],
+                ],
+                'builtInVariable' => [
+                    ['accountId' => '0', 'containerId' => '0', 'type' => 'EVENT', 'name' => 'Event'],
+                ],
+                'variable' => $variables,
+                'trigger' => $triggers,
+            ],
+        ];
+    }
+
+    /**
+     * Get the consent_* dataLayer keys of all declared categories and services
+     *
+     * @return string[]
+     */
+    private function getConsentKeys(): array
+    {
+        $keys = [];
+        foreach ($this->categoryPool->getCategories() as $category) {
+            $keys[] = 'consent_' . $category->getCode();
+        }
+
+        $categoryCodes = $this->categoryPool->getCategoryCodes();
+        foreach ($this->servicePool->getAllServices() as $service) {
+            if (in_array($service->getCategory(), $categoryCodes, true)) {
+                $keys[] = 'consent_service_' . $service->getCode();
+            }
+        }
+
+        return $keys;
+    }
+
+    /**
+     * Create a Data Layer variable reading a consent flag (false until the first consent event)
+     *
+     * @param int $id Variable ID within the export
+     * @param string $key dataLayer key
+     * @return array<string, mixed>
+     */
+    private function createDataLayerVariable(int $id, string $key): array
+    {
+        return [
+            'accountId' => '0',
+            'containerId' => '0',
+            'variableId' => (string) $id,
+            'name' => self::VARIABLE_PREFIX . $key,
+            'type' => 'v',
+            'parameter' => [
+                ['type' => 'INTEGER', 'key' => 'dataLayerVersion', 'value' => '2'],
+                ['type' => 'BOOLEAN', 'key' => 'setDefaultValue', 'value' => 'true'],
+                ['type' => 'TEMPLATE', 'key' => 'defaultValue', 'value' => 'false'],
+                ['type' => 'TEMPLATE', 'key' => 'name', 'value' => $key],
+            ],
+        ];
+    }
+
+    /**
+     * Create a custom-event trigger for a consent event
+     *
+     * @param int $id Trigger ID within the export
+     * @param string $event dataLayer event name
+     * @return array<string, mixed>
+     */
+    private function createEventTrigger(int $id, string $event): array
+    {
+        return [
+            'accountId' => '0',
+            'containerId' => '0',
+            'triggerId' => (string) $id,
+            'name' => self::EVENT_TRIGGER_PREFIX . $event,
+            'type' => 'CUSTOM_EVENT',
+            'customEventFilter' => [
+                $this->createCondition('EQUALS', '{{_event}}', $event),
+            ],
+        ];
+    }
+
+    /**
+     * Create an exception trigger firing on every event while a category is not consented
+     *
+     * Add it as exception to the tags of the category so they never fire without consent.
+     *
+     * @param int $id Trigger ID within the export
+     * @param string $category Category code
+     * @return array<string, mixed>
+     */
+    private function createExceptionTrigger(int $id, string $category): array
+    {
+        return [
+            'accountId' => '0',
+            'containerId' => '0',
+            'triggerId' => (string) $id,
+            'name' => self::EXCEPTION_TRIGGER_PREFIX . $category,
+            'type' => 'CUSTOM_EVENT',
+            'customEventFilter' => [
+                $this->createCondition('MATCH_REGEX', '{{_event}}', '.*'),
+            ],
+            'filter' => [
+                $this->createCondition('EQUALS', '{{' . self::VARIABLE_PREFIX . 'consent_' . $category . '}}', 'false'),
+            ],
+        ];
+    }
+
+    /**
+     * Create a trigger condition comparing a variable reference with a value
+     *
+     * @param string $type Condition type (EQUALS, MATCH_REGEX, ...)
+     * @param string $variable Variable reference, e.g. {{_event}}
+     * @param string $value Value to compare with
+     * @return array<string, mixed>
+     */
+    private function createCondition(string $type, string $variable, string $value): array
+    {
+        return [
+            'type' => $type,
+            'parameter' => [
+                ['type' => 'TEMPLATE', 'key' => 'arg0', 'value' => $variable],
+                ['type' => 'TEMPLATE', 'key' => 'arg1', 'value' => $value],
+            ],
+        ];
+    }
+}
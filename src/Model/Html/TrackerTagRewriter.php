@@ -0,0 +1,260 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model\Html;
+
+use Magento\Framework\App\Config\ScopeConfigInterface;
+use Magento\Framework\Escaper;
+use Magento\Store\Model\ScopeInterface;
+use Pixelperfect\HyvaCookieConsent\Model\TrackerHostMap;
+
+/**
+ * Rewrites hard-coded tracker tags in rendered HTML into their blocked form
+ *
+ * <script src>, <iframe src> and <img src> tags pointing at a host declared via <domains>
+ * get data-consent-src/-category/-service instead of src (scripts also type="text/plain"),
+ * so that the consent engine releases them once the category is granted. Because the
+ * rewrite happens before the page is cached, cached pages are blocked as well.
+ *
+ * Not rewritten: allowlisted hosts/URLs, tags with data-consent-ignore or an existing
+ * data-consent-src, content of <template data-consent-category> (already consent-gated),
+ * output of excluded layout blocks (wrapped in ignore markers), comments and the text of
+ * <script>, <style> and <textarea> elements (e.g. tags in a document.write() string).
+ */
+class TrackerTagRewriter
+{
+    private const CONFIG_PATH_PREFIX = 'web/hyva_cookie_consent/';
+    public const IGNORE_START = '<!--hyva-cookie-consent:ignore-start-->';
+    public const IGNORE_END = '<!--hyva-cookie-consent:ignore-end-->';
+
+    /**
+     * Attribute of a start tag; quoted values may contain ">" (e.g. JSON)
+     */
+    private const ATTRIBUTE_PATTERN = '\s+([^\s"\'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|\'([^\']*)\'|([^\s"\'>]+)))?';
+
+    /**
+     * @param ScopeConfigInterface $scopeConfig Magento configuration reader
+     * @param TrackerHostMap $trackerHostMap Tracker hosts declared by services
+     * @param Escaper $escaper HTML escaper
+     */
+    public function __construct(
+        private readonly ScopeConfigInterface $scopeConfig,
+        private readonly TrackerHostMap $trackerHostMap,
+        private readonly Escaper $escaper
+    ) {
+    }
+
+    /**
+     * Check if server-side rewriting is enabled
+     *
+     * @return bool
+     */
+    public function isEnabled(): bool
+    {
+        return $this->scopeConfig->isSetFlag(self::CONFIG_PATH_PREFIX . 'general/enabled', ScopeInterface::SCOPE_STORE)
+            && $this->scopeConfig->isSetFlag(self::CONFIG_PATH_PREFIX . 'html_rewrite/enabled', ScopeInterface::SCOPE_STORE);
+    }
+
+    /**
+     * Get layout block names whose output is never rewritten
+     *
+     * @return array<int, string>
+     */
+    public function getExcludedBlocks(): array
+    {
+        return $this->getConfigLines('html_rewrite/excluded_blocks');
+    }
+
+    /**
+     * Rewrite tracker tags of an HTML document and remove ignore markers
+     *
+     * @param string $html Rendered HTML
+     * @return string
+     */
+    public function rewrite(string $html): string
+    {
+        $allowlist = $this->getConfigLines('html_rewrite/allowlist');
+        $parts = preg_split(
+            '/(' . preg_quote(self::IGNORE_START, '/') . '.*?' . preg_quote(self::IGNORE_END, '/')
+                . '|<template\b[^>]*\sdata-consent-category\b[^>]*>.*?<\/template>)/is',
+            $html,
+            -1,
+            PREG_SPLIT_DELIM_CAPTURE
+        );
+        if ($parts === false) {
+            return $html;
+        }
+
+        foreach ($parts as $index => $part) {
+            // Odd parts are the captured ignored regions and consent templates
+            $parts[$index] = $index % 2 === 1
+                ? str_replace([self::IGNORE_START, self::IGNORE_END], '', $part)
+                : $this->rewriteTags($part, $allowlist);
+        }
+
+        // Remove markers left unbalanced (e.g. a block rendered inside another ignored block)
+        return str_replace([self::IGNORE_START, self::IGNORE_END], '', implode('', $parts));
+    }
+
+    /**
+     * Rewrite all tracker tags of an HTML fragment
+     *
+     * Comments and raw text elements are split off first, so that only start tags in
+     * the markup itself are rewritten; a <script> start tag is rewritten, its text is not.
+     *
+     * @param string $html HTML fragment
+     * @param array<int, string> $allowlist Allowlisted hosts and URL prefixes
+     * @return string
+     */
+    private function rewriteTags(string $html, array $allowlist): string
+    {
+        $rawText = array_map(
+            static fn(string $name) => '<' . $name . '(?:' . self::ATTRIBUTE_PATTERN . ')*+\s*>.*?<\/' . $name . '\s*>',
+            ['script', 'style', 'textarea']
+        );
+        // "n" (no auto capture): only the outer group is a delimiter part
+        $parts = preg_split(
+            '/(?<skipped><!--.*?-->|' . implode('|', $rawText) . ')/isn',
+            $html,
+            -1,
+            PREG_SPLIT_DELIM_CAPTURE
+        );
+        if ($parts === false) {
+            return $html;
+        }
+
+        foreach ($parts as $index => $part) {
+            // Odd parts are the captured comments and raw text elements
+            if ($index % 2 === 0) {
+                $parts[$index] = $this->rewriteStartTags($part, $allowlist);
+            } elseif (!str_starts_with($part, '<!--')) {
+                $parts[$index] = $this->rewriteStartTags($part, $allowlist, 1);
+            }
+        }
+
+        return implode('', $parts);
+    }
+
+    /**
+     * Rewrite tracker start tags of markup without comments and raw text
+     *
+     * Every start tag is matched as a whole, so that attribute values of other tags are skipped.
+     *
+     * @param string $html Markup
+     * @param array<int, string> $allowlist Allowlisted hosts and URL prefixes
+     * @param int $limit Maximum number of start tags to visit (-1 = all)
+     * @return string
+     */
+    private function rewriteStartTags(string $html, array $allowlist, int $limit = -1): string
+    {
+        return (string) preg_replace_callback(
+            '/<(?<name>[a-z][a-z0-9:-]*)(?<attributes>(?:' . self::ATTRIBUTE_PATTERN . ')*+)(?<closing>\s*\/?)>/in',
+            fn(array $match) => in_array(strtolower($match['name']), ['script', 'iframe', 'img'], true)
+                ? $this->rewriteTag($match[0], $match['name'], $match['attributes'], $match['closing'], $allowlist)
+                : $match[0],
+            $html,
+            $limit
+        );
+    }
+
+    /**
+     * Rewrite a single tag if it loads from a tracker host
+     *
+     * @param string $tag Complete start tag
+     * @param string $name Tag name
+     * @param string $attributes Attribute string (with leading whitespace)
+     * @param string $closing Whitespace and self-closing slash before ">"
+     * @param array<int, string> $allowlist Allowlisted hosts and URL prefixes
+     * @return string
+     */
+    private function rewriteTag(string $tag, string $name, string $attributes, string $closing, array $allowlist): string
+    {
+        preg_match_all('/' . self::ATTRIBUTE_PATTERN . '/', $attributes, $matches, PREG_SET_ORDER);
+        $values = [];
+        foreach ($matches as $match) {
+            // The first of duplicate attributes wins, as in the browser
+            $values[strtolower($match[1])] ??= html_entity_decode(
+                ($match[2] ?? '') . ($match[3] ?? '') . ($match[4] ?? ''),
+                ENT_QUOTES | ENT_HTML5
+            );
+        }
+        if (!isset($values['src']) || isset($values['data-consent-src']) || isset($values['data-consent-ignore'])) {
+            return $tag;
+        }
+
+        $url = $values['src'];
+        $ownService = $values['data-consent-service'] ?? null;
+        $entry = $this->trackerHostMap->match($url, $ownService);
+        if ($entry === null || $this->isAllowlisted($url, $allowlist)) {
+            return $tag;
+        }
+
+        $isScript = strtolower($name) === 'script';
+        $kept = '';
+        foreach ($matches as $match) {
+            $attribute = strtolower($match[1]);
+            if ($attribute !== 'src' && !($isScript && $attribute === 'type')) {
+                $kept .= $match[0];
+            }
+        }
+
+        $blocked = [
+            'data-consent-src' => $url,
+            'data-consent-category' => $entry['category'],
+            'data-consent-auto-blocked' => $entry['service'],
+        ];
+        if ($entry['consentable'] && $ownService === null) {
+            $blocked['data-consent-service'] = $entry['service'];
+        }
+        if ($isScript) {
+            $blocked = ['type' => 'text/plain'] + $blocked;
+        } elseif (strtolower($name) === 'iframe') {
+            $blocked['data-consent-provider'] = $entry['title'];
+        }
+
+        $blockedAttributes = '';
+        foreach ($blocked as $attribute => $value) {
+            $blockedAttributes .= ' ' . $attribute . '="' . $this->escaper->escapeHtmlAttr($value, false) . '"';
+        }
+
+        return '<' . $name . $blockedAttributes . $kept . $closing . '>';
+    }
+
+    /**
+     * Check a URL against allowlisted hosts (including subdomains) and URL prefixes
+     *
+     * @param string $url Tag URL
+     * @param array<int, string> $allowlist Allowlisted hosts and URL prefixes
+     * @return bool
+     */
+    private function isAllowlisted(string $url, array $allowlist): bool
+    {
+        $hostname = strtolower((string) parse_url($url, PHP_URL_HOST));
+
+        foreach ($allowlist as $entry) {
+            if (str_contains($entry, '/')) {
+                if (str_starts_with($url, $entry)) {
+                    return true;
+                }
+            } elseif ($hostname === strtolower($entry) || str_ends_with($hostname, '.' . strtolower($entry))) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Get non-empty lines of a textarea config value
+     *
+     * @param string $path Config path relative to web/hyva_cookie_consent/
+     * @return array<int, string>
+     */
+    private function getConfigLines(string $path): array
+    {
+        $value = (string) $this->scopeConfig->getValue(self::CONFIG_PATH_PREFIX . $path, ScopeInterface::SCOPE_STORE);
+
+        return array_values(array_filter(array_map('trim', preg_split('/[\r\n,]+/', $value) ?: [])));
+    }
+}
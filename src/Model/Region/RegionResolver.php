@@ -0,0 +1,112 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model\Region;
+
+use Magento\Framework\App\Config\ScopeConfigInterface;
+use Magento\Framework\App\Request\Http as HttpRequest;
+use Magento\Store\Model\ScopeInterface;
+
+/**
+ * Resolves the visitor's country for region-based consent regimes
+ *
+ * The country is read from a request header set by the CDN or web server
+ * (e.g. CF-IPCountry). Without a usable header the configured fallback country,
+ * or the store's default country, is used.
+ */
+class RegionResolver
+{
+    public const COUNTRY_COOKIE_NAME = 'hyva_cookie_consent_country';
+
+    private const CONFIG_PATH_PREFIX = 'web/hyva_cookie_consent/regions/';
+
+    /**
+     * Placeholder codes CDNs send for unknown, anonymous or multi-country origins
+     */
+    private const UNKNOWN_COUNTRIES = ['XX', 'T1', 'A1', 'A2', 'O1', 'EU', 'AP'];
+
+    /**
+     * @param ScopeConfigInterface $scopeConfig Magento configuration reader
+     * @param HttpRequest $request Current request
+     */
+    public function __construct(
+        private readonly ScopeConfigInterface $scopeConfig,
+        private readonly HttpRequest $request
+    ) {
+    }
+
+    /**
+     * Check if region-based consent regimes are enabled
+     *
+     * @return bool
+     */
+    public function isEnabled(): bool
+    {
+        return $this->scopeConfig->isSetFlag(self::CONFIG_PATH_PREFIX . 'enabled', ScopeInterface::SCOPE_STORE);
+    }
+
+    /**
+     * Resolve the visitor's ISO 3166-1 alpha-2 country code
+     *
+     * @return string Country code, empty if neither header nor fallback yield one
+     */
+    public function resolveCountry(): string
+    {
+        return $this->getCountryFromHeader() ?? $this->getFallbackCountry();
+    }
+
+    /**
+     * Read the country from the configured request header
+     *
+     * @return string|null
+     */
+    private function getCountryFromHeader(): ?string
+    {
+        $headerName = trim((string) $this->scopeConfig->getValue(
+            self::CONFIG_PATH_PREFIX . 'country_header',
+            ScopeInterface::SCOPE_STORE
+        ));
+        if ($headerName === '') {
+            return null;
+        }
+
+        $value = $this->request->getHeader($headerName);
+
+        return is_string($value) ? $this->normalize($value) : null;
+    }
+
+    /**
+     * Get the configured fallback country, or the store's default country
+     *
+     * @return string
+     */
+    private function getFallbackCountry(): string
+    {
+        $value = (string) $this->scopeConfig->getValue(
+            self::CONFIG_PATH_PREFIX . 'fallback_country',
+            ScopeInterface::SCOPE_STORE
+        );
+        if ($value === '') {
+            $value = (string) $this->scopeConfig->getValue('general/country/default', ScopeInterface::SCOPE_STORE);
+        }
+
+        return $this->normalize($value) ?? '';
+    }
+
+    /**
+     * Normalize a country code, rejecting malformed and placeholder values
+     *
+     * @param string $value
+     * @return string|null
+     */
+    private function normalize(string $value): ?string
+    {
+        $country = strtoupper(trim($value));
+        if (!preg_match('/^[A-Z]{2}$/', $country) || in_array($country, self::UNKNOWN_COUNTRIES, true)) {
+            return null;
+        }
+
+        return $country;
+    }
+}
@@ -0,0 +1,73 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model\ResourceModel;
+
+use Magento\Framework\Model\ResourceModel\Db\AbstractDb;
+use Pixelperfect\HyvaCookieConsent\Api\Data\ConsentReceiptInterface;
+
+/**
+ * Consent receipt resource model
+ *
+ * Category and service flags are stored as JSON
+ */
+class ConsentReceipt extends AbstractDb
+{
+    public const TABLE_NAME = 'pixelperfect_cookie_consent_receipt';
+
+    /**
+     * @var array<string, array<int, array>>
+     */
+    protected $_serializableFields = [
+        ConsentReceiptInterface::CATEGORIES => [[], []],
+        ConsentReceiptInterface::SERVICES => [[], []],
+    ];
+
+    /**
+     * Initialize main table and primary key
+     *
+     * @return void
+     */
+    protected function _construct(): void
+    {
+        $this->_init(self::TABLE_NAME, ConsentReceiptInterface::ENTITY_ID);
+    }
+
+    /**
+     * Check if a receipt of this decision was already saved
+     *
+     * @param string $consentId Consent ID
+     * @param string $consentedAt Decision time (Y-m-d H:i:s, UTC)
+     * @return bool
+     */
+    public function hasReceipt(string $consentId, string $consentedAt): bool
+    {
+        $connection = $this->getConnection();
+        $select = $connection->select()
+            ->from($this->getMainTable(), [ConsentReceiptInterface::ENTITY_ID])
+            ->where(ConsentReceiptInterface::CONSENT_ID . ' = ?', $consentId)
+            ->where(ConsentReceiptInterface::CONSENTED_AT . ' = ?', $consentedAt)
+            ->limit(1);
+
+        return (bool) $connection->fetchOne($select);
+    }
+
+    /**
+     * Count receipts of a consent ID received since the given time
+     *
+     * @param string $consentId Consent ID
+     * @param string $since Server time (Y-m-d H:i:s, UTC)
+     * @return int
+     */
+    public function countReceivedSince(string $consentId, string $since): int
+    {
+        $connection = $this->getConnection();
+        $select = $connection->select()
+            ->from($this->getMainTable(), ['COUNT(*)'])
+            ->where(ConsentReceiptInterface::CONSENT_ID . ' = ?', $consentId)
+            ->where(ConsentReceiptInterface::CREATED_AT . ' >= ?', $since);
+
+        return (int) $connection->fetchOne($select);
+    }
+}
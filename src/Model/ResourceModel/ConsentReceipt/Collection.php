@@ -0,0 +1,30 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model\ResourceModel\ConsentReceipt;
+
+use Magento\Framework\Model\ResourceModel\Db\Collection\AbstractCollection;
+use Pixelperfect\HyvaCookieConsent\Model\ConsentReceipt;
+use Pixelperfect\HyvaCookieConsent\Model\ResourceModel\ConsentReceipt as ConsentReceiptResource;
+
+/**
+ * Consent receipt collection
+ */
+class Collection extends AbstractCollection
+{
+    /**
+     * @var string
+     */
+    protected $_idFieldName = 'entity_id';
+
+    /**
+     * Initialize model and resource model
+     *
+     * @return void
+     */
+    protected function _construct(): void
+    {
+        $this->_init(ConsentReceipt::class, ConsentReceiptResource::class);
+    }
+}
@@ -16,6 +16,11 @@ use Pixelperfect\HyvaCookieConsent\Model\Config\Source\LoadingMethod;
  */
 class Service implements ServiceInterface
 {
+    /**
+     * consent_mode config value of services that are withheld until consent (the default)
+     */
+    public const CONSENT_MODE_BLOCK = 'block';
+
     private const CONFIG_PATH_PREFIX = 'hyva_cookie_consent/services/';
 
     /**
@@ -42,6 +47,8 @@ class Service implements ServiceInterface
      * @param array<string, array<string, string>> $configFields Admin config fields
      * @param array<string, array<string, string>> $cookies Cookie definitions
      * @param bool $enabledByDefault Default enabled state
+     * @param array<int, array{name: string, path: string, allow: array<int, array{consent_mode: string, path: string}>}> $domains Hosts the service loads from
+     * @param array<string, array<string, string>> $storage Web Storage and IndexedDB entries
      */
     public function __construct(
         private readonly ScopeConfigInterface $scopeConfig,
@@ -54,7 +61,9 @@ class Service implements ServiceInterface
         private readonly ?string $managedBy = null,
         private readonly array $configFields = [],
         private readonly array $cookies = [],
-        private readonly bool $enabledByDefault = true
+        private readonly bool $enabledByDefault = true,
+        private readonly array $domains = [],
+        private readonly array $storage = []
     ) {
     }
 
@@ -87,6 +96,14 @@ class Service implements ServiceInterface
      */
     public function getCategory(): string
     {
+        // Services declaring a "category" config field can be moved to another category in the admin
+        if (isset($this->configFields['category'])) {
+            $category = (string) $this->getConfigValue('category');
+            if ($category !== '') {
+                return $category;
+            }
+        }
+
         return $this->category;
     }
 
@@ -169,6 +186,22 @@ class Service implements ServiceInterface
         return $this->cookies;
     }
 
+    /**
+     * @inheritDoc
+     */
+    public function getStorage(): array
+    {
+        return $this->storage;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    public function getDomains(): array
+    {
+        return $this->domains;
+    }
+
     /**
      * Get admin config fields definition
      *
@@ -58,7 +58,9 @@ class ServicePool
                 'managedBy' => $data['managed_by'] ?? null,
                 'configFields' => $data['config_fields'] ?? [],
                 'cookies' => $data['cookies'] ?? [],
-                'enabledByDefault' => (bool) ($data['enabled_by_default'] ?? false)
+                'enabledByDefault' => (bool) ($data['enabled_by_default'] ?? false),
+                'domains' => $data['domains'] ?? [],
+                'storage' => $data['storage'] ?? []
             ]);
         }
     }
@@ -171,6 +173,24 @@ class ServicePool
         return $cookiesByCategory;
     }
 
+    /**
+     * Get all Web Storage and IndexedDB entries from enabled services grouped by category
+     *
+     * @return array<string, array<string, array<string, string>>>
+     */
+    public function getAllStorageByCategory(): array
+    {
+        $storageByCategory = [];
+
+        foreach ($this->getEnabledServices() as $service) {
+            foreach ($service->getStorage() as $key => $item) {
+                $storageByCategory[$service->getCategory()][$key] = $item;
+            }
+        }
+
+        return $storageByCategory;
+    }
+
     /**
      * Get services that should be loaded directly by the module
      *
@@ -0,0 +1,127 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model\Tcf;
+
+use Magento\Framework\App\Filesystem\DirectoryList;
+use Magento\Framework\Exception\FileSystemException;
+use Magento\Framework\Filesystem\Driver\File;
+use Magento\Framework\Module\Dir;
+use Magento\Framework\Module\Dir\Reader as ModuleDirReader;
+use Magento\Framework\Serialize\Serializer\Json;
+
+/**
+ * IAB TCF Global Vendor List loaded from a local JSON file
+ *
+ * The GVL is never fetched at runtime. The module ships a GVL skeleton with all
+ * purposes and special features but no vendors; shops drop the current GVL
+ * (vendor-list.json) into their installation and configure its path.
+ */
+class GlobalVendorList
+{
+    private const MODULE_NAME = 'Pixelperfect_HyvaCookieConsent';
+    private const BUNDLED_FILE = 'tcf/vendor-list.json';
+
+    /**
+     * Decoded GVL data by file path
+     *
+     * @var array<string, array<string, mixed>>
+     */
+    private array $dataCache = [];
+
+    /**
+     * @param ModuleDirReader $moduleDirReader Module directory resolver
+     * @param DirectoryList $directoryList Magento directory list
+     * @param File $fileDriver Filesystem driver
+     * @param Json $jsonSerializer JSON serializer
+     */
+    public function __construct(
+        private readonly ModuleDirReader $moduleDirReader,
+        private readonly DirectoryList $directoryList,
+        private readonly File $fileDriver,
+        private readonly Json $jsonSerializer
+    ) {
+    }
+
+    /**
+     * Load the GVL, optionally restricted to a set of vendor IDs
+     *
+     * @param string $filePath Path relative to the Magento root (empty = bundled skeleton)
+     * @param array<int, int> $vendorIds Vendor IDs to keep (empty = all vendors)
+     * @return array<string, mixed>
+     */
+    public function load(string $filePath = '', array $vendorIds = []): array
+    {
+        $data = $this->read($this->resolvePath($filePath));
+
+        if (!empty($vendorIds)) {
+            $data['vendors'] = array_filter(
+                $data['vendors'],
+                static fn(array $vendor) => in_array((int) ($vendor['id'] ?? 0), $vendorIds, true)
+            );
+        }
+
+        // Deleted vendors must not be disclosed or receive consent
+        $data['vendors'] = array_filter(
+            $data['vendors'],
+            static fn(array $vendor) => empty($vendor['deletedDate'])
+        );
+
+        return $data;
+    }
+
+    /**
+     * Resolve absolute path of the GVL file
+     *
+     * @param string $filePath Path relative to the Magento root (empty = bundled skeleton)
+     * @return string
+     */
+    private function resolvePath(string $filePath): string
+    {
+        if ($filePath === '') {
+            return $this->moduleDirReader->getModuleDir(Dir::MODULE_ETC_DIR, self::MODULE_NAME)
+                . '/' . self::BUNDLED_FILE;
+        }
+
+        return $this->directoryList->getRoot() . '/' . ltrim($filePath, '/');
+    }
+
+    /**
+     * Read and decode a GVL file
+     *
+     * Unreadable or invalid files yield an empty vendor list so that the storefront
+     * keeps working; the TC string then simply carries no vendor consent.
+     *
+     * @param string $path Absolute file path
+     * @return array<string, mixed>
+     */
+    private function read(string $path): array
+    {
+        if (isset($this->dataCache[$path])) {
+            return $this->dataCache[$path];
+        }
+
+        $data = [];
+        try {
+            if ($this->fileDriver->isExists($path)) {
+                $decoded = $this->jsonSerializer->unserialize($this->fileDriver->fileGetContents($path));
+                $data = is_array($decoded) ? $decoded : [];
+            }
+        } catch (FileSystemException | \InvalidArgumentException) {
+            $data = [];
+        }
+
+        $this->dataCache[$path] = [
+            'vendorListVersion' => (int) ($data['vendorListVersion'] ?? 0),
+            'tcfPolicyVersion' => (int) ($data['tcfPolicyVersion'] ?? 5),
+            'purposes' => $data['purposes'] ?? [],
+            'specialPurposes' => $data['specialPurposes'] ?? [],
+            'features' => $data['features'] ?? [],
+            'specialFeatures' => $data['specialFeatures'] ?? [],
+            'vendors' => $data['vendors'] ?? [],
+        ];
+
+        return $this->dataCache[$path];
+    }
+}
@@ -0,0 +1,145 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Model;
+
+use Magento\Framework\App\Config\ScopeConfigInterface;
+use Magento\Store\Model\ScopeInterface;
+
+/**
+ * Tracker hosts declared via <domains> in cookie_consent.xml
+ *
+ * Shared by the runtime auto-blocker and the server-side tag rewriter. Uses ALL services
+ * (not just enabled ones), as third-party modules may load the same trackers. Services of
+ * required categories are never held, and a tag manager in infrastructure mode must load
+ * before consent. Hosts of services using a vendor consent API mode stay held; the module's
+ * own pre-consent tag opts out with data-consent-ignore, and the vendor's follow-up loads are
+ * let through by the <allow> paths the service declares for that mode.
+ */
+class TrackerHostMap
+{
+    private const GTM_LOADING_STRATEGY_PATH = 'hyva_cookie_consent/services/google_tag_manager/loading_strategy';
+
+    /**
+     * Cached host map (null = not yet built)
+     *
+     * @var array{hosts: array<int, array{host: string, path: string, service: string, allowed: bool}>, services: array<string, array{category: string, title: string, consentable: bool}>}|null
+     */
+    private ?array $mapCache = null;
+
+    /**
+     * @param ServicePool $servicePool Pool of tracking services
+     * @param CategoryPool $categoryPool Pool of consent categories
+     * @param ScopeConfigInterface $scopeConfig Magento configuration reader
+     */
+    public function __construct(
+        private readonly ServicePool $servicePool,
+        private readonly CategoryPool $categoryPool,
+        private readonly ScopeConfigInterface $scopeConfig
+    ) {
+    }
+
+    /**
+     * Get held hosts and the services they belong to
+     *
+     * A host may be declared by several services with different path prefixes; hosts are
+     * ordered by specificity (longest path first), so the first matching entry wins.
+     * "allowed" entries are <allow> paths of the active vendor consent mode, which are not held.
+     * "consentable" marks services with an individual consent toggle (data-consent-service).
+     *
+     * @return array{hosts: array<int, array{host: string, path: string, service: string, allowed: bool}>, services: array<string, array{category: string, title: string, consentable: bool}>}
+     */
+    public function getMap(): array
+    {
+        if ($this->mapCache !== null) {
+            return $this->mapCache;
+        }
+
+        $infrastructureMode = $this->scopeConfig->getValue(
+            self::GTM_LOADING_STRATEGY_PATH,
+            ScopeInterface::SCOPE_STORE
+        ) === 'infrastructure';
+
+        $hosts = [];
+        $services = [];
+        foreach ($this->servicePool->getAllServices() as $service) {
+            $category = $this->categoryPool->getCategory($service->getCategory());
+            if ($category === null
+                || $category->isRequired()
+                || ($infrastructureMode && $service->isTagManager())
+            ) {
+                continue;
+            }
+
+            $services[$service->getCode()] = [
+                'category' => $service->getCategory(),
+                'title' => (string) __($service->getTitle()),
+                'consentable' => $service->hasTemplate() && $service->isDirectLoading(),
+            ];
+            $consentMode = $service->isDirectLoading() ? (string) $service->getConfigValue('consent_mode') : '';
+            foreach ($service->getDomains() as $domain) {
+                $hosts[] = [
+                    'host' => $domain['name'],
+                    'path' => $domain['path'],
+                    'service' => $service->getCode(),
+                    'allowed' => false,
+                ];
+                foreach ($domain['allow'] ?? [] as $allowance) {
+                    if ($consentMode !== '' && $allowance['consent_mode'] === $consentMode) {
+                        $hosts[] = [
+                            'host' => $domain['name'],
+                            'path' => $allowance['path'],
+                            'service' => $service->getCode(),
+                            'allowed' => true,
+                        ];
+                    }
+                }
+            }
+        }
+
+        usort($hosts, static fn(array $a, array $b) => [strlen($b['path']), strlen($b['host'])]
+            <=> [strlen($a['path']), strlen($a['host'])]);
+
+        return $this->mapCache = ['hosts' => $hosts, 'services' => $services];
+    }
+
+    /**
+     * Find the held service for a URL (subdomains of a declared host match)
+     *
+     * URLs matching an allowed path of an active vendor consent mode are not held.
+     *
+     * An element's own data-consent-service takes precedence over the host's service,
+     * e.g. a GA4 gtag.js on a host also declared by the tag manager.
+     *
+     * @param string $url Absolute or protocol-relative URL
+     * @param string|null $ownService Service declared by the element itself (data-consent-service)
+     * @return array{service: string, category: string, title: string, consentable: bool}|null
+     */
+    public function match(string $url, ?string $ownService = null): ?array
+    {
+        $hostname = strtolower((string) parse_url($url, PHP_URL_HOST));
+        if ($hostname === '') {
+            return null;
+        }
+        $path = (string) parse_url($url, PHP_URL_PATH);
+
+        $map = $this->getMap();
+        foreach ($map['hosts'] as $entry) {
+            if (($hostname === $entry['host'] || str_ends_with($hostname, '.' . $entry['host']))
+                && str_starts_with($path, $entry['path'])
+            ) {
+                if ($entry['allowed']) {
+                    return null;
+                }
+                $service = $ownService !== null && isset($map['services'][$ownService])
+                    ? $ownService
+                    : $entry['service'];
+
+                return ['service' => $service] + $map['services'][$service];
+            }
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,63 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Observer;
+
+use Magento\Framework\Event\Observer as Event;
+use Magento\Framework\Event\ObserverInterface;
+use Magento\Framework\View\Element\AbstractBlock;
+use Pixelperfect\HyvaCookieConsent\Model\Html\TrackerTagRewriter;
+
+/**
+ * Wraps output of layout blocks excluded from tracker tag rewriting in ignore markers
+ */
+class MarkExcludedBlockOutput implements ObserverInterface
+{
+    /**
+     * Excluded block names (null = not yet loaded)
+     *
+     * @var array<int, string>|null
+     */
+    private ?array $excludedBlocks = null;
+
+    /**
+     * @param TrackerTagRewriter $trackerTagRewriter Tracker tag rewriter
+     */
+    public function __construct(
+        private readonly TrackerTagRewriter $trackerTagRewriter
+    ) {
+    }
+
+    /**
+     * Mark the rendered HTML of an excluded block
+     *
+     * @param Event $event view_block_abstract_to_html_after event
+     * @return void
+     */
+    public function execute(Event $event): void
+    {
+        if ($this->excludedBlocks === null) {
+            $this->excludedBlocks = $this->trackerTagRewriter->isEnabled()
+                ? $this->trackerTagRewriter->getExcludedBlocks()
+                : [];
+        }
+
+        $block = $event->getData('block');
+        if (empty($this->excludedBlocks)
+            || !$block instanceof AbstractBlock
+            || !in_array($block->getNameInLayout(), $this->excludedBlocks, true)
+        ) {
+            return;
+        }
+
+        $transport = $event->getData('transport');
+        $html = (string) $transport->getData('html');
+        if ($html !== '') {
+            $transport->setData(
+                'html',
+                TrackerTagRewriter::IGNORE_START . $html . TrackerTagRewriter::IGNORE_END
+            );
+        }
+    }
+}
@@ -0,0 +1,53 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Pixelperfect\HyvaCookieConsent\Plugin\Controller\Result;
+
+use Magento\Framework\App\Response\Http as HttpResponse;
+use Magento\Framework\App\ResponseInterface;
+use Magento\Framework\Controller\ResultInterface;
+use Magento\Framework\View\Result\Layout;
+use Pixelperfect\HyvaCookieConsent\Model\Html\TrackerTagRewriter;
+
+/**
+ * Blocks hard-coded tracker tags in rendered pages
+ *
+ * Runs after the page is rendered but before the built-in full page cache stores the
+ * response (see sortOrder in etc/frontend/di.xml), so cached pages are blocked too.
+ */
+class RewriteTrackerTags
+{
+    /**
+     * @param TrackerTagRewriter $trackerTagRewriter Tracker tag rewriter
+     */
+    public function __construct(
+        private readonly TrackerTagRewriter $trackerTagRewriter
+    ) {
+    }
+
+    /**
+     * Rewrite tracker tags in the response body of layout results
+     *
+     * @param ResultInterface $subject Controller result
+     * @param ResultInterface $result Return value of renderResult()
+     * @param ResponseInterface $response HTTP response
+     * @return ResultInterface
+     */
+    public function afterRenderResult(
+        ResultInterface $subject,
+        ResultInterface $result,
+        ResponseInterface $response
+    ): ResultInterface {
+        if (!$subject instanceof Layout || !$response instanceof HttpResponse || !$this->trackerTagRewriter->isEnabled()) {
+            return $result;
+        }
+
+        $body = (string) $response->getBody();
+        if ($body !== '') {
+            $response->setBody($this->trackerTagRewriter->rewrite($body));
+        }
+
+        return $result;
+    }
+}
@@ -5,13 +5,20 @@ declare(strict_types=1);
 namespace Pixelperfect\HyvaCookieConsent\ViewModel;
 
 use Magento\Framework\App\Config\ScopeConfigInterface;
+use Magento\Framework\App\State;
 use Magento\Framework\Serialize\Serializer\Json;
+use Magento\Framework\UrlInterface;
 use Magento\Framework\View\Element\Block\ArgumentInterface;
 use Magento\Store\Model\ScopeInterface;
 use Pixelperfect\HyvaCookieConsent\Api\Data\CategoryInterface;
 use Pixelperfect\HyvaCookieConsent\Api\Data\ServiceInterface;
 use Pixelperfect\HyvaCookieConsent\Model\CategoryPool;
+use Pixelperfect\HyvaCookieConsent\Model\Config\Source\ConsentRegime;
+use Pixelperfect\HyvaCookieConsent\Model\ConsentReceiptLogger;
+use Pixelperfect\HyvaCookieConsent\Model\Region\RegionResolver;
 use Pixelperfect\HyvaCookieConsent\Model\ServicePool;
+use Pixelperfect\HyvaCookieConsent\Model\Tcf\GlobalVendorList;
+use Pixelperfect\HyvaCookieConsent\Model\TrackerHostMap;
 
 /**
  * Main ViewModel for cookie consent functionality
@@ -23,18 +30,38 @@ class CookieConsent implements ArgumentInterface
 {
     private const CONFIG_PATH_PREFIX = 'web/hyva_cookie_consent/';
     private const SERVICES_CONFIG_PATH_PREFIX = 'hyva_cookie_consent/services/';
+    private const PRIVACY_SIGNALS = ['gpc', 'dnt'];
+
+    /**
+     * Loaded Global Vendor List (null = not yet loaded)
+     *
+     * @var array<string, mixed>|null
+     */
+    private ?array $globalVendorListCache = null;
 
     /**
      * @param ScopeConfigInterface $scopeConfig Magento configuration reader
      * @param CategoryPool $categoryPool Pool of consent categories
      * @param ServicePool $servicePool Pool of tracking services
      * @param Json $jsonSerializer JSON serializer
+     * @param GlobalVendorList $globalVendorList IAB TCF Global Vendor List
+     * @param ConsentReceiptLogger $consentReceiptLogger Consent receipt persistence
+     * @param UrlInterface $urlBuilder URL builder
+     * @param RegionResolver $regionResolver Visitor country resolver
+     * @param TrackerHostMap $trackerHostMap Tracker hosts declared by services
+     * @param State $appState Application state (deploy mode)
      */
     public function __construct(
         private readonly ScopeConfigInterface $scopeConfig,
         private readonly CategoryPool $categoryPool,
         private readonly ServicePool $servicePool,
-        private readonly Json $jsonSerializer
+        private readonly Json $jsonSerializer,
+        private readonly GlobalVendorList $globalVendorList,
+        private readonly ConsentReceiptLogger $consentReceiptLogger,
+        private readonly UrlInterface $urlBuilder,
+        private readonly RegionResolver $regionResolver,
+        private readonly TrackerHostMap $trackerHostMap,
+        private readonly State $appState
     ) {
     }
 
@@ -65,6 +92,58 @@ class CookieConsent implements ArgumentInterface
         return (int) ($value ?: 365);
     }
 
+    /**
+     * Get consent cookie domain (configured, or Magento's cookie domain)
+     *
+     * A domain such as ".example.com" shares the consent across subdomains;
+     * an empty value keeps the cookie on the current host.
+     *
+     * @return string
+     */
+    public function getConsentCookieDomain(): string
+    {
+        $value = trim((string) $this->scopeConfig->getValue(
+            self::CONFIG_PATH_PREFIX . 'general/cookie_domain',
+            ScopeInterface::SCOPE_STORE
+        ));
+        if ($value === '') {
+            $value = trim((string) $this->scopeConfig->getValue('web/cookie/cookie_domain', ScopeInterface::SCOPE_STORE));
+        }
+
+        return $value;
+    }
+
+    /**
+     * Get consent cookie path (configured, or Magento's cookie path)
+     *
+     * @return string
+     */
+    public function getConsentCookiePath(): string
+    {
+        $value = trim((string) $this->scopeConfig->getValue(
+            self::CONFIG_PATH_PREFIX . 'general/cookie_path',
+            ScopeInterface::SCOPE_STORE
+        ));
+        if ($value === '') {
+            $value = trim((string) $this->scopeConfig->getValue('web/cookie/cookie_path', ScopeInterface::SCOPE_STORE));
+        }
+
+        return $value !== '' ? '/' . ltrim($value, '/') : '/';
+    }
+
+    /**
+     * Get consent cookie scope JSON for JavaScript
+     *
+     * @return string JSON encoded { domain, path }
+     */
+    public function getConsentCookieScopeJson(): string
+    {
+        return $this->jsonSerializer->serialize([
+            'domain' => $this->getConsentCookieDomain(),
+            'path' => $this->getConsentCookiePath(),
+        ]);
+    }
+
     /**
      * Get consent version for re-consent handling
      *
@@ -149,6 +228,143 @@ class CookieConsent implements ArgumentInterface
         return $value ?: '/privacy-policy';
     }
 
+    /**
+     * Check if consent receipts are logged server-side
+     *
+     * @return bool
+     */
+    public function isConsentLogEnabled(): bool
+    {
+        return $this->consentReceiptLogger->isEnabled();
+    }
+
+    /**
+     * Get URL the banner posts consent receipts to
+     *
+     * @return string
+     */
+    public function getConsentReceiptUrl(): string
+    {
+        return $this->urlBuilder->getUrl('hyva_cookie_consent/receipt/save');
+    }
+
+    /**
+     * Get SHA-256 hash of the banner texts shown to the visitor
+     *
+     * Recorded with each consent receipt to prove which wording a decision was made on.
+     *
+     * @return string
+     */
+    public function getBannerTextHash(): string
+    {
+        $texts = [$this->getBannerHeadline(), $this->getBannerDescription()];
+        foreach ($this->categoryPool->getCategories() as $category) {
+            $texts[] = (string) __($category->getTitle());
+            $texts[] = (string) __($category->getDescription());
+        }
+
+        return hash('sha256', implode("\n", $texts));
+    }
+
+    /**
+     * Get optional categories rejected by default when a browser privacy signal is set
+     *
+     * @param string $signal Signal code ('gpc' = Global Privacy Control, 'dnt' = Do Not Track)
+     * @return array<int, string> Category codes (empty if the signal is not honored)
+     */
+    public function getPrivacySignalCategories(string $signal): array
+    {
+        $enabled = $this->scopeConfig->isSetFlag(
+            self::CONFIG_PATH_PREFIX . 'privacy_signals/' . $signal . '_enabled',
+            ScopeInterface::SCOPE_STORE
+        );
+        if (!$enabled) {
+            return [];
+        }
+
+        $optionalCodes = array_map(
+            static fn(CategoryInterface $category) => $category->getCode(),
+            $this->categoryPool->getOptionalCategories()
+        );
+
+        return array_values(array_intersect(
+            $this->getConfigList('privacy_signals/' . $signal . '_categories'),
+            $optionalCodes
+        ));
+    }
+
+    /**
+     * Get privacy signal configuration JSON for JavaScript
+     *
+     * @return string JSON encoded { signal: [categoryCode, ...] }
+     */
+    public function getPrivacySignalConfigJson(): string
+    {
+        $config = [];
+        foreach (self::PRIVACY_SIGNALS as $signal) {
+            $config[$signal] = $this->getPrivacySignalCategories($signal);
+        }
+
+        return $this->jsonSerializer->serialize($config);
+    }
+
+    /**
+     * Check if region-based consent regimes are enabled
+     *
+     * @return bool
+     */
+    public function isRegionRegimesEnabled(): bool
+    {
+        return $this->regionResolver->isEnabled();
+    }
+
+    /**
+     * Get the regional consent ruleset JSON for JavaScript
+     *
+     * Contains the rules for all regions; the visitor's country is resolved in the
+     * browser (cookie or header echo endpoint) so that the page stays cacheable.
+     *
+     * @return string JSON encoded ruleset
+     */
+    public function getRegionRulesetJson(): string
+    {
+        if (!$this->isRegionRegimesEnabled()) {
+            return $this->jsonSerializer->serialize(['enabled' => false]);
+        }
+
+        $countries = [];
+        foreach ([ConsentRegime::OPT_OUT, ConsentRegime::NOTICE_ONLY] as $regime) {
+            foreach ($this->getConfigList('regions/' . $regime . '_countries') as $country) {
+                $countries[strtoupper($country)] = $regime;
+            }
+        }
+
+        $optionalCodes = array_values(array_map(
+            static fn(CategoryInterface $category) => $category->getCode(),
+            $this->categoryPool->getOptionalCategories()
+        ));
+        $defaultRegime = (string) $this->scopeConfig->getValue(
+            self::CONFIG_PATH_PREFIX . 'regions/default_regime',
+            ScopeInterface::SCOPE_STORE
+        );
+
+        return $this->jsonSerializer->serialize([
+            'enabled' => true,
+            'cookieName' => RegionResolver::COUNTRY_COOKIE_NAME,
+            'resolveUrl' => $this->urlBuilder->getUrl('hyva_cookie_consent/region/resolve'),
+            'defaultRegime' => $defaultRegime ?: ConsentRegime::OPT_IN,
+            'countries' => (object) $countries,
+            'preGranted' => [
+                ConsentRegime::OPT_IN => [],
+                ConsentRegime::OPT_OUT => array_values(array_intersect(
+                    $this->getConfigList('regions/opt_out_categories'),
+                    $optionalCodes
+                )),
+                ConsentRegime::NOTICE_ONLY => $optionalCodes,
+            ],
+        ]);
+    }
+
     /**
      * Get all consent categories sorted by sort order
      *
@@ -180,6 +396,95 @@ class CookieConsent implements ArgumentInterface
         return $this->servicePool->getServicesForCategory($categoryCode);
     }
 
+    /**
+     * Check if visitors can choose individual services within a category
+     *
+     * @return bool
+     */
+    public function isServiceTogglesEnabled(): bool
+    {
+        return $this->scopeConfig->isSetFlag(
+            self::CONFIG_PATH_PREFIX . 'ui/service_toggles',
+            ScopeInterface::SCOPE_STORE
+        );
+    }
+
+    /**
+     * Get services that can be individually consented within a category
+     *
+     * Only services loaded directly by the module can be blocked individually;
+     * services loaded via GTM or belonging to a required category cannot.
+     *
+     * @param string $categoryCode Category code
+     * @return array<string, ServiceInterface>
+     */
+    public function getConsentableServicesForCategory(string $categoryCode): array
+    {
+        $category = $this->categoryPool->getCategory($categoryCode);
+        if ($category === null || $category->isRequired()) {
+            return [];
+        }
+
+        return array_filter(
+            $this->servicePool->getDirectLoadingServicesForCategory($categoryCode),
+            static fn(ServiceInterface $service) => $service->hasTemplate()
+        );
+    }
+
+    /**
+     * Get individually consentable services JSON for JavaScript
+     *
+     * @return string JSON encoded {serviceCode: {category: string, title: string, cookies: string[], storage: object}}
+     */
+    public function getServiceConsentConfigJson(): string
+    {
+        $config = [];
+
+        foreach ($this->categoryPool->getOptionalCategories() as $category) {
+            foreach ($this->getConsentableServicesForCategory($category->getCode()) as $service) {
+                $config[$service->getCode()] = [
+                    'category' => $service->getCategory(),
+                    'title' => (string) __($service->getTitle()),
+                    'cookies' => array_values(array_filter(array_map(
+                        static fn(array $cookie) => $cookie['name'] ?? '',
+                        $service->getCookies()
+                    ))),
+                    'storage' => $this->groupStorageByType($service->getStorage()),
+                ];
+            }
+        }
+
+        return $this->jsonSerializer->serialize((object) $config);
+    }
+
+    /**
+     * Get the categories and services reported in GTM dataLayer consent events
+     *
+     * Every declared category becomes a consent_<category> flag and every enabled service
+     * a consent_service_<service> flag, so GTM triggers can use custom categories and services.
+     *
+     * @return string JSON encoded {categories: {code: bool required}, services: {code: string category}}
+     */
+    public function getDataLayerConsentConfigJson(): string
+    {
+        $categories = [];
+        foreach ($this->categoryPool->getCategories() as $category) {
+            $categories[$category->getCode()] = $category->isRequired();
+        }
+
+        $services = [];
+        foreach ($this->servicePool->getEnabledServices() as $service) {
+            if (isset($categories[$service->getCategory()])) {
+                $services[$service->getCode()] = $service->getCategory();
+            }
+        }
+
+        return $this->jsonSerializer->serialize([
+            'categories' => (object) $categories,
+            'services' => (object) $services,
+        ]);
+    }
+
     /**
      * Check if GTM is in infrastructure mode
      *
@@ -266,6 +571,211 @@ class CookieConsent implements ArgumentInterface
         return $this->jsonSerializer->serialize($groups);
     }
 
+    /**
+     * Get Google Consent Mode signal mapping JSON for JavaScript
+     *
+     * Signals of required categories are always granted. Signals of optional categories
+     * are granted when any category declaring them is granted; all other declared
+     * signals are denied.
+     *
+     * @return string JSON encoded {required: string[], categories: {code: string[]}}
+     */
+    public function getConsentModeSignalsJson(): string
+    {
+        $required = [];
+        $categories = [];
+
+        foreach ($this->categoryPool->getCategories() as $category) {
+            if ($category->isRequired()) {
+                array_push($required, ...$category->getConsentModeSignals());
+            } else {
+                $categories[$category->getCode()] = $category->getConsentModeSignals();
+            }
+        }
+
+        return $this->jsonSerializer->serialize([
+            'required' => array_values(array_unique($required)),
+            'categories' => (object) $categories,
+        ]);
+    }
+
+    /**
+     * Get maximum consent age per optional category for JavaScript
+     *
+     * Categories without their own <consent_max_age> use the global setting;
+     * categories without a limit are omitted.
+     *
+     * @return string JSON encoded { categoryCode: months }
+     */
+    public function getConsentMaxAgeJson(): string
+    {
+        $globalMaxAge = (int) $this->scopeConfig->getValue(
+            self::CONFIG_PATH_PREFIX . 'general/consent_max_age',
+            ScopeInterface::SCOPE_STORE
+        );
+
+        $maxAge = [];
+        foreach ($this->categoryPool->getOptionalCategories() as $category) {
+            $months = $category->getConsentMaxAge() ?: $globalMaxAge;
+            if ($months > 0) {
+                $maxAge[$category->getCode()] = $months;
+            }
+        }
+
+        return $this->jsonSerializer->serialize((object) $maxAge);
+    }
+
+    /**
+     * Check if Magento runs in developer mode (enables the undeclared cookie detector)
+     *
+     * @return bool
+     */
+    public function isDeveloperMode(): bool
+    {
+        return $this->appState->getMode() === State::MODE_DEVELOPER;
+    }
+
+    /**
+     * Check if the runtime auto-blocker is enabled
+     *
+     * @return bool
+     */
+    public function isAutoBlockEnabled(): bool
+    {
+        return $this->scopeConfig->isSetFlag(
+            self::CONFIG_PATH_PREFIX . 'general/auto_block',
+            ScopeInterface::SCOPE_STORE
+        );
+    }
+
+    /**
+     * Get hosts held by the runtime auto-blocker for JavaScript
+     *
+     * @return string JSON encoded { hosts: [{ host, path, service }], services: { code: { category, title, consentable } } }
+     */
+    public function getAutoBlockHostsJson(): string
+    {
+        $map = $this->trackerHostMap->getMap();
+
+        return $this->jsonSerializer->serialize([
+            'hosts' => $map['hosts'],
+            'services' => (object) $map['services'],
+        ]);
+    }
+
+    /**
+     * Check if storage writes for non-consented categories are refused
+     *
+     * @return bool
+     */
+    public function isStorageGuardEnabled(): bool
+    {
+        return $this->scopeConfig->isSetFlag(
+            self::CONFIG_PATH_PREFIX . 'general/storage_guard',
+            ScopeInterface::SCOPE_STORE
+        );
+    }
+
+    /**
+     * Get how the page is reloaded after revoking services that are already running
+     *
+     * @return string offer or force
+     */
+    public function getRevocationReloadMode(): string
+    {
+        $mode = $this->scopeConfig->getValue(
+            self::CONFIG_PATH_PREFIX . 'general/revocation_reload',
+            ScopeInterface::SCOPE_STORE
+        );
+
+        return $mode === 'force' ? 'force' : 'offer';
+    }
+
+    /**
+     * Get the consent settings for videos of the product media gallery
+     *
+     * Falls back to the marketing category if the configured category is not declared.
+     *
+     * @return string JSON encoded { category, noCookie }
+     */
+    public function getGalleryVideoConfigJson(): string
+    {
+        $category = (string) $this->scopeConfig->getValue(
+            self::CONFIG_PATH_PREFIX . 'product_gallery/video_category',
+            ScopeInterface::SCOPE_STORE
+        );
+        if (!in_array($category, $this->categoryPool->getCategoryCodes(), true)) {
+            $category = 'marketing';
+        }
+
+        return $this->jsonSerializer->serialize([
+            'category' => $category,
+            'noCookie' => $this->scopeConfig->isSetFlag(
+                self::CONFIG_PATH_PREFIX . 'product_gallery/youtube_nocookie',
+                ScopeInterface::SCOPE_STORE
+            ),
+        ]);
+    }
+
+    /**
+     * Get Web Storage and IndexedDB name patterns grouped by category
+     *
+     * Like the cookie patterns, ALL services are used so that entries written by
+     * external tag managers are cleared on revocation as well.
+     *
+     * @return string JSON encoded { category: { localStorage: [], sessionStorage: [], indexedDB: [] } }
+     */
+    public function getStoragePatternsJson(): string
+    {
+        $storageByCategory = [];
+        foreach ($this->servicePool->getAllServices() as $service) {
+            $storageByCategory[$service->getCategory()] = array_merge(
+                $storageByCategory[$service->getCategory()] ?? [],
+                array_values($service->getStorage())
+            );
+        }
+
+        $patterns = [];
+        foreach ($this->categoryPool->getCategories() as $category) {
+            $patterns[$category->getCode()] = $this->groupStorageByType($storageByCategory[$category->getCode()] ?? []);
+        }
+
+        return $this->jsonSerializer->serialize((object) $patterns);
+    }
+
+    /**
+     * Group storage entry names by storage type
+     *
+     * @param array<array-key, array<string, string>> $storage Storage entries
+     * @return array<string, array<int, string>>
+     */
+    private function groupStorageByType(array $storage): array
+    {
+        $grouped = ['localStorage' => [], 'sessionStorage' => [], 'indexedDB' => []];
+        foreach ($storage as $item) {
+            if (!empty($item['name']) && isset($grouped[$item['type'] ?? ''])) {
+                $grouped[$item['type']][] = $item['name'];
+            }
+        }
+
+        return array_map(static fn(array $names) => array_values(array_unique($names)), $grouped);
+    }
+
+    /**
+     * Get translated category titles for JavaScript (e.g. click-to-load placeholders)
+     *
+     * @return string JSON encoded { categoryCode: title }
+     */
+    public function getCategoryTitlesJson(): string
+    {
+        $titles = [];
+        foreach ($this->categoryPool->getCategories() as $category) {
+            $titles[$category->getCode()] = (string) __($category->getTitle());
+        }
+
+        return $this->jsonSerializer->serialize((object) $titles);
+    }
+
     /**
      * Get cookie patterns grouped by category for JavaScript deletion logic
      *
@@ -307,6 +817,192 @@ class CookieConsent implements ArgumentInterface
         return $this->jsonSerializer->serialize($patterns);
     }
 
+    /**
+     * Check if IAB TCF mode is enabled
+     *
+     * TCF mode requires a CMP ID registered with IAB Europe.
+     *
+     * @return bool
+     */
+    public function isTcfEnabled(): bool
+    {
+        return $this->scopeConfig->isSetFlag(
+            self::CONFIG_PATH_PREFIX . 'tcf/enabled',
+            ScopeInterface::SCOPE_STORE
+        ) && $this->getTcfCmpId() > 0;
+    }
+
+    /**
+     * Get IAB-registered CMP ID
+     *
+     * @return int
+     */
+    public function getTcfCmpId(): int
+    {
+        return (int) $this->scopeConfig->getValue(
+            self::CONFIG_PATH_PREFIX . 'tcf/cmp_id',
+            ScopeInterface::SCOPE_STORE
+        );
+    }
+
+    /**
+     * Check if GDPR applies to visitors of this store (TCF gdprApplies)
+     *
+     * @return bool
+     */
+    public function isTcfGdprApplicable(): bool
+    {
+        return $this->scopeConfig->isSetFlag(
+            self::CONFIG_PATH_PREFIX . 'tcf/gdpr_applies',
+            ScopeInterface::SCOPE_STORE
+        );
+    }
+
+    /**
+     * Get TCF vendors disclosed in the consent banner
+     *
+     * @return array<int, array{id: int, name: string, policyUrl: string}>
+     */
+    public function getTcfVendors(): array
+    {
+        $vendors = [];
+        foreach ($this->getGlobalVendorList()['vendors'] as $vendor) {
+            $vendors[] = [
+                'id' => (int) ($vendor['id'] ?? 0),
+                'name' => (string) ($vendor['name'] ?? ''),
+                'policyUrl' => (string) ($vendor['urls'][0]['privacy'] ?? $vendor['policyUrl'] ?? ''),
+            ];
+        }
+
+        usort($vendors, static fn(array $a, array $b) => strcasecmp($a['name'], $b['name']));
+
+        return $vendors;
+    }
+
+    /**
+     * Get TCF purpose names by ID
+     *
+     * @return array<int, string>
+     */
+    public function getTcfPurposeNames(): array
+    {
+        $names = [];
+        foreach ($this->getGlobalVendorList()['purposes'] as $purpose) {
+            $names[(int) ($purpose['id'] ?? 0)] = (string) ($purpose['name'] ?? '');
+        }
+
+        return $names;
+    }
+
+    /**
+     * Get TCF configuration JSON for the __tcfapi implementation
+     *
+     * @return string JSON encoded TCF config
+     */
+    public function getTcfConfigJson(): string
+    {
+        $gvl = $this->getGlobalVendorList();
+
+        $purposesByCategory = [];
+        $specialFeaturesByCategory = [];
+        foreach ($this->categoryPool->getCategories() as $category) {
+            $purposesByCategory[$category->getCode()] = $category->getTcfPurposes();
+            $specialFeaturesByCategory[$category->getCode()] = $category->getTcfSpecialFeatures();
+        }
+
+        $vendors = [];
+        foreach ($gvl['vendors'] as $vendor) {
+            $vendors[] = [
+                'id' => (int) ($vendor['id'] ?? 0),
+                'purposes' => array_map('intval', $vendor['purposes'] ?? []),
+                'specialFeatures' => array_map('intval', $vendor['specialFeatures'] ?? []),
+            ];
+        }
+
+        return $this->jsonSerializer->serialize([
+            'cmpId' => $this->getTcfCmpId(),
+            'cmpVersion' => (int) ($this->scopeConfig->getValue(
+                self::CONFIG_PATH_PREFIX . 'tcf/cmp_version',
+                ScopeInterface::SCOPE_STORE
+            ) ?: 1),
+            'gdprApplies' => $this->isTcfGdprApplicable(),
+            'publisherCC' => $this->getTcfPublisherCountryCode(),
+            'consentLanguage' => $this->getTcfConsentLanguage(),
+            'vendorListVersion' => $gvl['vendorListVersion'],
+            'tcfPolicyVersion' => $gvl['tcfPolicyVersion'],
+            'purposesByCategory' => $purposesByCategory,
+            'specialFeaturesByCategory' => $specialFeaturesByCategory,
+            'vendors' => $vendors,
+        ]);
+    }
+
+    /**
+     * Read a comma-separated config value as list
+     *
+     * @param string $path Path below web/hyva_cookie_consent/
+     * @return array<int, string>
+     */
+    private function getConfigList(string $path): array
+    {
+        $value = (string) $this->scopeConfig->getValue(self::CONFIG_PATH_PREFIX . $path, ScopeInterface::SCOPE_STORE);
+
+        return array_values(array_filter(array_map('trim', explode(',', $value))));
+    }
+
+    /**
+     * Get publisher country code (configured, or the store's default country)
+     *
+     * @return string
+     */
+    private function getTcfPublisherCountryCode(): string
+    {
+        $value = (string) $this->scopeConfig->getValue(
+            self::CONFIG_PATH_PREFIX . 'tcf/publisher_cc',
+            ScopeInterface::SCOPE_STORE
+        );
+        if ($value === '') {
+            $value = (string) $this->scopeConfig->getValue('general/country/default', ScopeInterface::SCOPE_STORE);
+        }
+
+        return strtoupper(substr($value, 0, 2)) ?: 'AA';
+    }
+
+    /**
+     * Get two-letter consent language derived from the store locale
+     *
+     * @return string
+     */
+    private function getTcfConsentLanguage(): string
+    {
+        $locale = (string) $this->scopeConfig->getValue('general/locale/code', ScopeInterface::SCOPE_STORE);
+
+        return strtoupper(substr($locale, 0, 2)) ?: 'EN';
+    }
+
+    /**
+     * Get configured Global Vendor List
+     *
+     * @return array<string, mixed>
+     */
+    private function getGlobalVendorList(): array
+    {
+        if ($this->globalVendorListCache === null) {
+            $vendorIds = (string) $this->scopeConfig->getValue(
+                self::CONFIG_PATH_PREFIX . 'tcf/vendor_ids',
+                ScopeInterface::SCOPE_STORE
+            );
+            $this->globalVendorListCache = $this->globalVendorList->load(
+                trim((string) $this->scopeConfig->getValue(
+                    self::CONFIG_PATH_PREFIX . 'tcf/gvl_file',
+                    ScopeInterface::SCOPE_STORE
+                )),
+                array_values(array_filter(array_map('intval', preg_split('/[\s,]+/', $vendorIds) ?: [])))
+            );
+        }
+
+        return $this->globalVendorListCache;
+    }
+
     /**
      * Get service pool instance
      *